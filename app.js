@@ -1,13 +1,445 @@
 // SmartRoom Vision - Persistent Multi-Person Tracker
+
+// Tracking helpers
+class KalmanBoxFilter {
+    // Constant-velocity Kalman filter over box center (cx, cy) and size (w, h).
+    // Each component is an independent [position, velocity] state; units are pixels and seconds.
+    constructor(bbox, { processNoise = 2500, measurementNoise = 25 } = {}) {
+        const [x, y, width, height] = bbox;
+        this.processNoise = processNoise;
+        this.measurementNoise = measurementNoise;
+        this.axes = [x + width / 2, y + height / 2, width, height].map(value => ({
+            position: value,
+            velocity: 0,
+            p00: measurementNoise,
+            p01: 0,
+            p10: 0,
+            p11: 10000 // velocity is unknown until the second measurement
+        }));
+    }
+
+    predict(dt) {
+        const q = this.processNoise;
+
+        for (const axis of this.axes) {
+            axis.position += axis.velocity * dt;
+
+            // P = F P F^T + Q, with Q modelling white-noise acceleration
+            const p00 = axis.p00 + dt * (axis.p01 + axis.p10) + dt * dt * axis.p11;
+            const p01 = axis.p01 + dt * axis.p11;
+            const p10 = axis.p10 + dt * axis.p11;
+            axis.p00 = p00 + q * Math.pow(dt, 4) / 4;
+            axis.p01 = p01 + q * Math.pow(dt, 3) / 2;
+            axis.p10 = p10 + q * Math.pow(dt, 3) / 2;
+            axis.p11 = axis.p11 + q * dt * dt;
+        }
+
+        return this.getBbox();
+    }
+
+    update(bbox) {
+        const [x, y, width, height] = bbox;
+        const measurements = [x + width / 2, y + height / 2, width, height];
+
+        this.axes.forEach((axis, i) => {
+            const innovation = measurements[i] - axis.position;
+            const innovationVariance = axis.p00 + this.measurementNoise;
+            const gainPosition = axis.p00 / innovationVariance;
+            const gainVelocity = axis.p10 / innovationVariance;
+
+            axis.position += gainPosition * innovation;
+            axis.velocity += gainVelocity * innovation;
+
+            const p00 = axis.p00;
+            const p01 = axis.p01;
+            axis.p00 = (1 - gainPosition) * p00;
+            axis.p01 = (1 - gainPosition) * p01;
+            axis.p10 -= gainVelocity * p00;
+            axis.p11 -= gainVelocity * p01;
+        });
+
+        return this.getBbox();
+    }
+
+    stopMotion() {
+        // Unobserved tracks should wait where they were last seen instead of drifting away
+        for (const axis of this.axes) {
+            axis.velocity = 0;
+        }
+    }
+
+    getBbox() {
+        const [cx, cy, width, height] = this.axes.map(axis => axis.position);
+        const w = Math.max(1, width);
+        const h = Math.max(1, height);
+        return [cx - w / 2, cy - h / 2, w, h];
+    }
+}
+
+// Hungarian algorithm (Kuhn-Munkres) for a rectangular cost matrix.
+// Returns, for every row, the index of the column assigned to it or -1.
+function solveAssignment(cost) {
+    const rows = cost.length;
+    const cols = rows > 0 ? cost[0].length : 0;
+    if (rows === 0 || cols === 0) {
+        return new Array(rows).fill(-1);
+    }
+
+    // Pad to a square matrix with zero-cost dummy rows/columns
+    const n = Math.max(rows, cols);
+    const costAt = (i, j) => (i < rows && j < cols ? cost[i][j] : 0);
+
+    const u = new Array(n + 1).fill(0);
+    const v = new Array(n + 1).fill(0);
+    const p = new Array(n + 1).fill(0);
+    const way = new Array(n + 1).fill(0);
+
+    for (let i = 1; i <= n; i++) {
+        p[0] = i;
+        let j0 = 0;
+        const minv = new Array(n + 1).fill(Infinity);
+        const used = new Array(n + 1).fill(false);
+
+        do {
+            used[j0] = true;
+            const i0 = p[j0];
+            let delta = Infinity;
+            let j1 = 0;
+
+            for (let j = 1; j <= n; j++) {
+                if (used[j]) continue;
+                const reduced = costAt(i0 - 1, j - 1) - u[i0] - v[j];
+                if (reduced < minv[j]) {
+                    minv[j] = reduced;
+                    way[j] = j0;
+                }
+                if (minv[j] < delta) {
+                    delta = minv[j];
+                    j1 = j;
+                }
+            }
+
+            for (let j = 0; j <= n; j++) {
+                if (used[j]) {
+                    u[p[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minv[j] -= delta;
+                }
+            }
+            j0 = j1;
+        } while (p[j0] !== 0);
+
+        do {
+            const j1 = way[j0];
+            p[j0] = p[j1];
+            j0 = j1;
+        } while (j0);
+    }
+
+    const assignment = new Array(rows).fill(-1);
+    for (let j = 1; j <= n; j++) {
+        if (p[j] > 0 && p[j] <= rows && j <= cols) {
+            assignment[p[j] - 1] = j - 1;
+        }
+    }
+    return assignment;
+}
+
+// Geometry helpers (points are [x, y])
+function crossProduct(origin, a, b) {
+    return (a[0] - origin[0]) * (b[1] - origin[1]) - (a[1] - origin[1]) * (b[0] - origin[0]);
+}
+
+function segmentsIntersect(p1, p2, q1, q2) {
+    const d1 = crossProduct(q1, q2, p1);
+    const d2 = crossProduct(q1, q2, p2);
+    const d3 = crossProduct(p1, p2, q1);
+    const d4 = crossProduct(p1, p2, q2);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+        ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+function distanceToSegment(point, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 :
+        Math.max(0, Math.min(1, ((point[0] - a[0]) * dx + (point[1] - a[1]) * dy) / lengthSquared));
+    return Math.hypot(point[0] - (a[0] + t * dx), point[1] - (a[1] + t * dy));
+}
+
+function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > point[1]) !== (yj > point[1]) &&
+            point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Appearance descriptors: HSV color histograms of the upper and lower half of a person crop
+const APPEARANCE_HUE_BINS = 8;
+const APPEARANCE_GRAY_BINS = 4;
+const APPEARANCE_REGION_BINS = APPEARANCE_HUE_BINS * 2 + APPEARANCE_GRAY_BINS;
+
+function appearanceSimilarity(a, b) {
+    // Mean Bhattacharyya coefficient over both regions (1 = identical)
+    let coefficient = 0;
+    for (let i = 0; i < a.length; i++) {
+        coefficient += Math.sqrt(a[i] * b[i]);
+    }
+    return coefficient / 2;
+}
+
+// Event clips
+// MediaRecorder output can only be played from the start of a recording, so instead of one
+// rolling buffer a fresh recorder is started every pre-roll period. The newest recorder that
+// began at least pre-roll before an event is kept running through the post-roll and becomes
+// the clip; recorders nobody claims are stopped and discarded.
+class ClipRecorder {
+    constructor(stream, preRollMs) {
+        this.stream = stream;
+        this.preRollMs = preRollMs;
+        this.mimeType = ClipRecorder.pickMimeType();
+        this.recorders = [];
+        this.spawnTimer = null;
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined';
+    }
+
+    static pickMimeType() {
+        const candidates = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    start() {
+        this.spawn();
+        this.spawnTimer = setInterval(() => this.spawn(), this.preRollMs);
+    }
+
+    spawn() {
+        const recorder = new MediaRecorder(this.stream, this.mimeType ? { mimeType: this.mimeType } : {});
+        const entry = { recorder, startedAt: Date.now(), chunks: [], keepUntil: 0, stopTimer: null, waiters: [] };
+
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) entry.chunks.push(e.data);
+        };
+        recorder.onstop = () => this.finish(entry);
+        try {
+            recorder.start();
+        } catch (error) {
+            console.error('Failed to start clip recorder:', error);
+            return;
+        }
+        this.recorders.push(entry);
+
+        // Two unclaimed recorders are enough to always cover the pre-roll
+        const unclaimed = this.recorders.filter(candidate => !candidate.keepUntil);
+        for (const stale of unclaimed.slice(0, -2)) {
+            stale.recorder.stop();
+        }
+    }
+
+    capture(eventTime, postRollMs) {
+        const active = this.recorders.filter(entry => entry.recorder.state === 'recording');
+        if (active.length === 0) return Promise.resolve(null);
+
+        // Latest recorder with the full pre-roll, otherwise the oldest one available
+        const withPreRoll = active.filter(entry => entry.startedAt <= eventTime - this.preRollMs);
+        const entry = withPreRoll.length > 0 ? withPreRoll[withPreRoll.length - 1] : active[0];
+
+        entry.keepUntil = Math.max(entry.keepUntil, eventTime + postRollMs);
+        clearTimeout(entry.stopTimer);
+        entry.stopTimer = setTimeout(() => entry.recorder.stop(), Math.max(0, entry.keepUntil - Date.now()));
+
+        return new Promise(resolve => entry.waiters.push(resolve));
+    }
+
+    finish(entry) {
+        clearTimeout(entry.stopTimer);
+        this.recorders = this.recorders.filter(candidate => candidate !== entry);
+        if (entry.waiters.length === 0) return;
+
+        const clip = {
+            blob: new Blob(entry.chunks, { type: this.mimeType || 'video/webm' }),
+            startTime: entry.startedAt,
+            endTime: Date.now()
+        };
+        entry.waiters.forEach(resolve => resolve(clip));
+    }
+
+    stop() {
+        clearInterval(this.spawnTimer);
+        this.spawnTimer = null;
+
+        // Claimed recorders end early and still deliver their clip
+        for (const entry of this.recorders) {
+            if (entry.recorder.state !== 'inactive') {
+                entry.recorder.stop();
+            }
+        }
+    }
+}
+
+const TRACK_MATCH_IOU = 0.3;
+const HEAD_KEYPOINTS = ['nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear'];
+const MQTT_QUEUE_LIMIT = 500;
+const RETENTION_INTERVAL_MS = 10 * 60 * 1000;
+const STORAGE_WARNING_RATIO = 0.9; // warn once usage passes this share of the browser quota
+const PBKDF2_ITERATIONS = 310000;
+const ENCRYPTION_CHECK_TEXT = 'SmartRoomVision';
+const PASSPHRASE_ERASE = Symbol('erase'); // askPassphrase() result when "Erase Encrypted Data" is chosen
+// Fields that stay readable in encrypted records because IndexedDB keys and indexes use them
+const CLEAR_FIELDS = {
+    events: ['id', 'timestamp', 'eventType'],
+    images: ['localId', 'firstSeenTimestamp'],
+    clips: ['id', 'eventId', 'timestamp']
+};
+// Settings sealed at rest while encryption is on and left out of unencrypted exports
+const SECRET_SETTINGS = ['mqttPassword'];
+const LOG_ROW_HEIGHT = 44; // px, must match .logs-spacer .log-item in styles.css
+const LOG_OVERSCAN_ROWS = 10;
+const LOG_REFRESH_MS = 1000; // an open Event Logs tab re-queries at most this often while events arrive
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+const AUDIT_DISPLAY_LIMIT = 200;
+const EXPORT_SCHEMA_VERSION = 2;
+// Each migration upgrades an export from version N to N + 1
+const EXPORT_MIGRATIONS = {
+    // v1 (no schemaVersion): { settings, stats, eventLog, images, clips?, exportedAt }
+    1: ({ eventLog, ...data }) => ({
+        ...data,
+        schemaVersion: 2,
+        events: eventLog,
+        images: data.images || [],
+        clips: data.clips || [],
+        rules: []
+    })
+};
+const EVENT_CSV_COLUMNS = [
+    'id', 'time', 'timestamp', 'eventType', 'localId', 'cameraId', 'cameraName',
+    'lineName', 'zoneName', 'dwellMs', 'goneForMs', 'similarity', 'ruleName', 'message', 'source', 'mediaTime'
+];
+const RULE_ACTIONS = ['sound', 'speech', 'notification', 'banner', 'screenshot', 'event'];
+const SEGMENTATION_CADENCE = 2; // segment at most once every this many detection intervals
+const MOTION_COLS = 64;
+const MOTION_ROWS = 36;
+const MOTION_TRIGGER_SCORE = 1; // activity (0-100) that counts as "something moved"
+const HEATMAP_COLS = 64;
+const HEATMAP_ROWS = 36;
+const ZONE_COLORS = ['#00ff88', '#ffaa00', '#ff00ff', '#00aaff', '#ff4444', '#ffff00'];
+
 class SmartRoomVision {
     constructor() {
-        this.video = document.getElementById('webcam');
-        this.canvas = document.getElementById('overlay');
-        this.overlayCtx = this.canvas.getContext('2d');
-
-        // Tracking state
-        this.trackedPeople = new Map(); // localId -> person data
+        // Camera pipelines: each camera has its own video, overlay, tracking state, clip recorder and its
+        // own lines and zones. The main one uses #webcam and also drives file playback and the heatmap.
+        // Tracking code reads the active pipeline through the accessors below, so it runs unchanged for
+        // every camera.
+        this.mainPipeline = this.createPipeline('main', 'Main camera', document.getElementById('webcam'), document.getElementById('overlay'));
+        this.activePipeline = this.mainPipeline;
+        this.cameraPipelines = new Map([['main', this.mainPipeline]]);
+
+        // Tracking state shared by all cameras (per-camera state lives in the pipelines). localIds identify
+        // people across sessions, so the counter is saved with the stats
         this.nextLocalId = 1;
+        this.runId = Date.now(); // stamped on every event of this page load, see reconstructRoomState
+
+        this.nextTrackId = 1;
+        this.appearanceCanvas = document.createElement('canvas');
+        this.appearanceCanvas.width = 16;
+        this.appearanceCanvas.height = 32;
+        this.appearanceCtx = this.appearanceCanvas.getContext('2d', { willReadFrequently: true });
+
+        // Motion activity (frame differencing on a downscaled copy of the video)
+        this.motionCanvas = document.createElement('canvas');
+        this.motionCanvas.width = MOTION_COLS;
+        this.motionCanvas.height = MOTION_ROWS;
+        this.motionCtx = this.motionCanvas.getContext('2d', { willReadFrequently: true });
+        this.previousMotionFrame = null;
+        this.motionMaskCells = null; // Uint8Array of cells inside the motion mask, null = whole frame
+        this.motionScore = 0;
+        this.lastModelRunTime = 0;
+        this.isDetectionIdle = false;
+
+        // Face blur and the composited display (#display-canvas)
+        this.faceModel = null;
+        this.faceModelLoading = null;
+        this.blurScratchCanvas = document.createElement('canvas');
+        this.displayCanvas = document.getElementById('display-canvas');
+        this.displayCtx = this.displayCanvas.getContext('2d');
+        this.displayFrame = null;
+
+        // Person segmentation for the background effects
+        this.segmenter = null;
+        this.segmenterLoading = null;
+        this.segmentationMask = document.createElement('canvas');
+        this.hasSegmentationMask = false;
+        this.isSegmenting = false;
+        this.lastSegmentationTime = 0;
+        this.detectionsInFlight = 0; // page-side detections, segmentation waits for them
+        this.segmentLayerCanvas = document.createElement('canvas');
+        this.cleanPlateCanvas = document.createElement('canvas');
+
+        // MQTT publishing (see connectMqtt)
+        this.mqttClient = null;
+        this.mqttQueue = []; // messages published while the broker is unreachable
+        this.lastPublishedOccupancy = null;
+
+        // Parsed, migrated and validated file waiting for the import preview to be confirmed
+        this.pendingImport = null;
+
+        // Rules engine (rules persist in the 'rules' store)
+        this.rules = [];
+        this.ruleState = new Map(); // rule id -> { since, fired, lastFiredAt, firedFor }
+        this.ruleTimer = null;
+
+        // Event clips (each pipeline has its own ClipRecorder)
+        this.clipEventIds = new Set();
+
+        // Encrypted storage: this.encryption holds { salt, iterations, check }, the key only lives in memory
+        this.encryption = null;
+        this.cryptoKey = null;
+        this.sealedSettings = null; // sealed SECRET_SETTINGS waiting for the key
+
+        // Event Logs tab: filtered raw records, the decrypted ones in view and the drawer selection
+        this.logView = { records: [], opened: new Map(), selectedId: null, renderId: 0, frame: null, refreshTimer: null };
+
+        // History tab: ENTRY/EXIT events up to the end of the chosen day and the scrubbed instant
+        this.historyView = { events: [], series: [], from: 0, to: 0, time: 0 };
+
+        // Admin PIN lock and hash-chained audit trail
+        this.adminLock = null; // { salt, iterations, hash } from the settings store, null = no PIN set
+        this.adminUnlockedUntil = 0;
+        this.adminLockTimer = null;
+        this.auditHead = { seq: 0, hash: AUDIT_GENESIS_HASH };
+        this.auditQueue = Promise.resolve();
+
+        // Retention and quota (see enforceRetention)
+        this.retentionTimer = null;
+        this.retentionRunning = false;
+        this.lastRetentionSummary = null; // shown in the Storage Used card
+        this.storagePersisted = false;
+        this.storageWarningShown = false;
+        this.clipPlayerURL = null;
+
+        // Foot-traffic heatmap for the current day
+        this.heatmap = null; // { date, cells: Float32Array(HEATMAP_COLS * HEATMAP_ROWS) }
+        this.heatmapDirty = false;
+        this.heatmapSwitch = null; // pending switchHeatmapDay()
+        this.showHeatmap = false;
+        this.heatmapCanvas = document.createElement('canvas');
+        this.heatmapCanvas.width = HEATMAP_COLS;
+        this.heatmapCanvas.height = HEATMAP_ROWS;
+
+        // Overlay editor (drawing tripwires on #overlay)
+        this.overlayEditMode = null;
+        this.editorDraft = null;
         // Demo mode flag
         this.isDemoMode = false;
         this.demoInterval = null;
@@ -19,14 +451,20 @@ class SmartRoomVision {
         this.detectionThrottleMs = 200;
 
         // Settings
-        this.settings = {
-            trackerTimeoutSeconds: 5,
-            reappearThresholdSeconds: 10,
-            maxStorageItems: 200,
-            detectionThrottleMs: 200,
-            autoExport: true,
-            faceBlur: true
-        };
+        this.settings = this.getDefaultSettings();
+
+        // Detector backend (see DETECTOR_BACKENDS)
+        this.detector = null;
+        this.replayScript = null;
+        this.loadedReplayScript = null;
+
+        // Video source ('camera' or 'file')
+        this.sourceType = 'camera';
+        this.sourceName = null;
+        this.videoFileURL = null;
+        this.mediaOrigin = 0; // wall-clock time of media time 0 for recorded files
+        this.lastProcessedMediaTime = null;
+        this.isAnalyzing = false;
 
         // Statistics
         this.stats = {
@@ -42,14 +480,360 @@ class SmartRoomVision {
         this.storedImages = new Map();
         this.eventLog = [];
 
+        // Activity summaries (see checkSummarySchedule)
+        this.summaryTimer = null;
+        this.lastSummaryBoundary = 0;
+        this.lastDailySummaryDate = null;
+
         // Announcement queue system
         this.announcementQueue = [];
         this.isAnnouncing = false;
-        this.announcementDelay = 2000; // 2 seconds between announcements
+        this.announcementDelay = 500; // pause after each spoken announcement
+        this.pendingAnnouncements = new Map(); // 'entry' | 'exit' -> { people, firstAt, timer }
 
         this.init();
     }
 
+    createPipeline(id, name, video, canvas) {
+        return {
+            id,
+            name,
+            video,
+            canvas,
+            overlayCtx: canvas.getContext('2d'),
+            trackedPeople: new Map(), // localId -> confirmed or lost track
+            tracks: [], // every live track, including tentative ones without a localId
+            lastTrackingUpdate: null,
+            departedPeople: new Map(), // localId -> person whose EXIT is held back for re-identification
+            lastDetectionTime: 0,
+            animationFrame: null,
+            tile: null,
+            clipRecorder: null,
+            clipCompositeCanvas: null,
+            clipCompositeFrame: null
+        };
+    }
+
+    get video() { return this.activePipeline.video; }
+    get canvas() { return this.activePipeline.canvas; }
+    get overlayCtx() { return this.activePipeline.overlayCtx; }
+    get trackedPeople() { return this.activePipeline.trackedPeople; }
+    get departedPeople() { return this.activePipeline.departedPeople; }
+    get tracks() { return this.activePipeline.tracks; }
+    set tracks(tracks) { this.activePipeline.tracks = tracks; }
+    get lastTrackingUpdate() { return this.activePipeline.lastTrackingUpdate; }
+    set lastTrackingUpdate(time) { this.activePipeline.lastTrackingUpdate = time; }
+
+    isMainPipeline() {
+        return this.activePipeline === this.mainPipeline;
+    }
+
+    isTrackCounting() {
+        // Cameras overlap, so with several of them occupancy comes only from door-line crossings
+        return this.settings.countingMode === 'tracks' && this.cameraPipelines.size === 1;
+    }
+
+    applyCountingChange(wasTrackCounting) {
+        if (this.isTrackCounting() === wasTrackCounting) return;
+
+        // Tracks and line crossings measure occupancy differently, so start counting afresh
+        this.resetTracking();
+        this.stats.currentInRoom = 0;
+        this.updateStatsDisplay();
+        this.showNotification(wasTrackCounting ?
+            'With several cameras only door-line crossings are counted, counting restarted' :
+            'Back to one camera, counting restarted', 'info');
+    }
+
+    promptForTripwire() {
+        if (this.settings.countingMode === 'tripwire' && this.getCameraTripwires(this.mainPipeline).length === 0) {
+            this.showNotification('Tripwire counting needs at least one line: use "Draw Lines" in Live Controls', 'warning');
+        }
+    }
+
+    getCameraTripwires(pipeline = this.activePipeline) {
+        // Lines drawn before cameras had their own belong to the main camera
+        return this.settings.tripwires.filter(line => (line.cameraId || 'main') === pipeline.id);
+    }
+
+    getCameraZones(pipeline = this.activePipeline) {
+        return this.settings.zones.filter(zone => (zone.cameraId || 'main') === pipeline.id);
+    }
+
+    getAllTrackedPeople() {
+        const people = [];
+        for (const pipeline of this.cameraPipelines.values()) {
+            people.push(...pipeline.trackedPeople.entries());
+        }
+        return people;
+    }
+
+    runInPipeline(pipeline, callback) {
+        // Only the synchronous part of the callback sees the swapped pipeline. Anything that continues
+        // after an await (handleEntry, handleExit, capturePersonPhoto) takes its pipeline as an argument.
+        const previous = this.activePipeline;
+        this.activePipeline = pipeline;
+        try {
+            return callback();
+        } finally {
+            this.activePipeline = previous;
+        }
+    }
+
+    // Camera manager
+    async refreshCameraList() {
+        const list = document.getElementById('camera-list');
+
+        let devices;
+        try {
+            devices = (await navigator.mediaDevices.enumerateDevices()).filter(device => device.kind === 'videoinput');
+        } catch (error) {
+            console.error('Failed to list cameras:', error);
+            list.innerHTML = '<div class="no-cameras">Cameras cannot be listed in this browser</div>';
+            return;
+        }
+
+        if (devices.length === 0) {
+            list.innerHTML = '<div class="no-cameras">No cameras found</div>';
+            return;
+        }
+
+        const mainDeviceId = this.mainPipeline.video.srcObject?.getVideoTracks()[0]?.getSettings().deviceId;
+        list.innerHTML = '';
+
+        devices.forEach((device, index) => {
+            const name = device.label || `Camera ${index + 1}`;
+            const isMain = device.deviceId === mainDeviceId;
+
+            const item = document.createElement('label');
+            item.className = 'checkbox-label camera-item';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = isMain || this.cameraPipelines.has(device.deviceId);
+            checkbox.disabled = isMain;
+            checkbox.addEventListener('change', async () => {
+                checkbox.disabled = true;
+                if (checkbox.checked) {
+                    checkbox.checked = await this.addExtraCamera(device.deviceId, name);
+                } else {
+                    this.removeExtraCamera(device.deviceId);
+                }
+                checkbox.disabled = false;
+                await this.saveExtraCameraIds();
+            });
+
+            item.appendChild(checkbox);
+            item.appendChild(document.createTextNode(isMain ? `${name} (main)` : name));
+            list.appendChild(item);
+        });
+    }
+
+    async restoreExtraCameras() {
+        if (this.settings.extraCameraIds.length === 0) return;
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        for (const deviceId of this.settings.extraCameraIds) {
+            const device = devices.find(candidate => candidate.kind === 'videoinput' && candidate.deviceId === deviceId);
+            if (!device) {
+                this.showNotification('A previously selected camera is not connected', 'warning');
+                continue;
+            }
+            await this.addExtraCamera(deviceId, device.label || 'Camera');
+        }
+        this.refreshCameraList();
+    }
+
+    async addExtraCamera(deviceId, name) {
+        if (this.cameraPipelines.has(deviceId)) return true;
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({
+                video: { deviceId: { exact: deviceId }, width: { ideal: 1280 }, height: { ideal: 720 } }
+            });
+        } catch (error) {
+            console.error('Failed to open camera:', error);
+            this.showNotification(`Could not open ${name}: ${error.message}`, 'error');
+            return false;
+        }
+
+        const tile = document.createElement('div');
+        tile.className = 'camera-tile';
+        const video = document.createElement('video');
+        video.autoplay = true;
+        video.playsInline = true;
+        video.muted = true;
+        const canvas = document.createElement('canvas');
+        canvas.className = 'tile-overlay';
+        const label = document.createElement('div');
+        label.className = 'camera-label';
+        label.textContent = name;
+        tile.appendChild(video);
+        tile.appendChild(canvas);
+        tile.appendChild(label);
+        document.getElementById('camera-grid').appendChild(tile);
+
+        video.srcObject = stream;
+        await new Promise(resolve => {
+            video.onloadedmetadata = () => {
+                canvas.width = video.videoWidth;
+                canvas.height = video.videoHeight;
+                resolve();
+            };
+        });
+
+        const pipeline = this.createPipeline(deviceId, name, video, canvas);
+        pipeline.tile = tile;
+        const wasTrackCounting = this.isTrackCounting();
+        this.cameraPipelines.set(deviceId, pipeline);
+        this.bindOverlayEditor(pipeline);
+        this.updateCameraLayout();
+        this.startClipRecorder(pipeline);
+        this.detectCameraFrame(pipeline);
+        this.applyCountingChange(wasTrackCounting);
+
+        if (this.getCameraTripwires(pipeline).length === 0) {
+            this.showNotification(`${name} added: use "Draw Lines" on its tile to mark its doorway`, 'warning');
+        } else {
+            this.showNotification(`${name} added`, 'success');
+        }
+        return true;
+    }
+
+    removeExtraCamera(deviceId) {
+        const pipeline = this.cameraPipelines.get(deviceId);
+        if (!pipeline || pipeline === this.mainPipeline) return;
+
+        this.cameraPipelines.delete(deviceId);
+        cancelAnimationFrame(pipeline.animationFrame);
+        this.stopClipRecorder(pipeline);
+
+        // Its people were counted by their line crossings, which stay in the room's balance; only
+        // close their zone visits
+        this.runInPipeline(pipeline, () => {
+            for (const localId of [...pipeline.trackedPeople.keys()]) {
+                this.removePerson(localId);
+            }
+            pipeline.departedPeople.clear();
+            pipeline.tracks = [];
+        });
+
+        pipeline.video.srcObject.getTracks().forEach(track => track.stop());
+        pipeline.tile.remove();
+        this.updateCameraLayout();
+        this.updateCurrentPeopleDisplay();
+        this.updateZonesDisplay();
+        this.applyCountingChange(false);
+    }
+
+    async saveExtraCameraIds() {
+        this.settings.extraCameraIds = Array.from(this.cameraPipelines.keys()).filter(id => id !== 'main');
+        await this.persistSettings();
+    }
+
+    updateCameraLayout() {
+        document.getElementById('camera-grid').classList.toggle('multi', this.cameraPipelines.size > 1);
+    }
+
+    async detectCameraFrame(pipeline) {
+        // Detection loop for an extra camera; the main camera runs detectFrame()
+        if (!this.cameraPipelines.has(pipeline.id)) return;
+        const scheduleNext = () => {
+            pipeline.animationFrame = requestAnimationFrame(() => this.detectCameraFrame(pipeline));
+        };
+
+        const now = Date.now();
+        const ready = this.isDetecting && this.detector && this.detector.requiresVideo && pipeline.video.readyState >= 2;
+        if (!ready || now - pipeline.lastDetectionTime < this.settings.detectionThrottleMs) {
+            scheduleNext();
+            return;
+        }
+        pipeline.lastDetectionTime = now;
+
+        try {
+            const personDetections = await this.detectPeople(pipeline.video, { slot: pipeline.id });
+
+            // Skip frames the worker dropped, and cameras removed while the frame was in flight
+            if (personDetections && this.cameraPipelines.has(pipeline.id)) {
+                this.runInPipeline(pipeline, () => {
+                    this.updateTracking(personDetections);
+                    this.drawOverlay();
+                });
+                this.updateCurrentPeopleDisplay();
+                this.updateStatsDisplay();
+            }
+        } catch (error) {
+            console.error(`Detection error on ${pipeline.name}:`, error);
+        }
+
+        scheduleNext();
+    }
+
+    getDefaultSettings() {
+        return {
+            trackerTimeoutSeconds: 5,
+            reappearThresholdSeconds: 10,
+            maxStorageItems: 200,
+            retentionDays: 0, // events, photos and clips older than this are deleted, 0 = keep forever
+            maxStorageMB: 0, // photos and clips together, 0 = no limit
+            adminLockMinutes: 5, // idle time before the admin PIN is asked again
+            summaryEnabled: false,
+            summaryIntervalMinutes: 60, // periodic summaries land on multiples of this from midnight
+            summaryDayEnd: '20:00', // end-of-day summary time
+            announceVoice: '', // voiceURI, '' = default voice for the language
+            announceLang: '', // BCP 47 tag, '' = browser language
+            announceRate: 1,
+            announceEntryTemplate: 'The {ordinal} person entered the room',
+            announceExitTemplate: 'A person left the room',
+            announceBurstEntryTemplate: '{count} people entered the room',
+            announceBurstExitTemplate: '{count} people left the room',
+            announceCoalesceMs: 1500, // entries or exits this close together become one sentence
+            quietHoursEnabled: false,
+            quietHoursFrom: '22:00',
+            quietHoursTo: '07:00',
+            detectionThrottleMs: 200,
+            autoExport: true,
+            faceBlur: true,
+            faceBlurStyle: 'pixelate', // 'pixelate' or 'gaussian'
+            privacyMode: false, // blur faces on the live display and in screenshots
+            backgroundEnabled: false,
+            backgroundEffect: 'blur', // 'blur', 'replace' or 'inverse' (hide people, show the empty room)
+            backgroundColor: '#1a1a1a',
+            segmentationIntervalMs: 500,
+            mqttEnabled: false,
+            mqttUrl: 'ws://localhost:9001',
+            mqttUsername: '',
+            mqttPassword: '',
+            mqttTopicPrefix: 'smartroom/room1',
+            mqttEventTopic: '{prefix}/events/{type}',
+            mqttOccupancyTopic: '{prefix}/occupancy',
+            mqttStatusTopic: '{prefix}/status',
+            mqttEventPayload: '{"type":"{type}","localId":{id},"timestamp":{timestamp},"time":"{iso}","occupancy":{occupancy}}',
+            mqttOccupancyPayload: '{"occupancy":{occupancy},"timestamp":{timestamp},"time":"{iso}"}',
+            extraCameraIds: [], // deviceIds of additional cameras, each with its own pipeline
+            detectorBackend: 'coco-ssd-lite',
+            detectorModelUrl: '',
+            customPersonClassId: 1,
+            videoFrameRate: 30,
+            minHitsForEntry: 3,
+            reidSimilarity: 0.8,
+            countingMode: 'tripwire', // 'tripwire' or 'tracks'
+            tripwires: [], // { id, name, cameraId, x1, y1, x2, y2, insideSign } in normalized coordinates
+            zones: [], // { id, name, cameraId, color, points: [[x, y], ...] } in normalized coordinates
+            useWorker: true,
+            maxFrameAgeMs: 1000, // worker results older than this are dropped
+            motionSensitivity: 50, // 1-100
+            motionGating: true,
+            motionIdleIntervalMs: 5000,
+            motionMask: [], // polygon in normalized coordinates, empty = whole frame
+            clipsEnabled: true,
+            clipPreRollSeconds: 5,
+            clipPostRollSeconds: 10,
+            clipIncludeOverlay: false
+        };
+    }
+
     async init() {
         try {
             // Initialize storage first
@@ -61,15 +845,31 @@ class SmartRoomVision {
                 this.showNotification('Camera initialized successfully', 'success');
             } catch (cameraError) {
                 console.warn('Camera access failed:', cameraError);
-                this.showNotification('Camera access denied or unavailable, switching to demo mode', 'warning');
-                this.startDemoMode();
+                if (this.settings.detectorBackend === 'replay') {
+                    // Scripted replay drives tracking without any camera
+                    this.showNotification('Camera unavailable, running scripted replay', 'warning');
+                } else {
+                    this.showNotification('Camera access denied or unavailable, switching to demo mode', 'warning');
+                    this.startDemoMode();
+                }
             }
 
+            // Setup UI controls before the model, so a failed load still leaves Settings reachable
+            this.setupControls();
+
             // Load AI model
             await this.loadModel();
-
-            // Setup UI controls
-            this.setupControls();
+            // A replay script that failed to load leaves neither a camera nor a script to watch
+            if (this.detector.requiresVideo && !this.video.videoWidth && !this.isDemoMode) {
+                this.startDemoMode();
+            }
+            this.updateZonesDisplay();
+            this.promptForTripwire();
+            this.updateDisplayMode();
+            this.startRuleTimer();
+            this.startSummaryTimer();
+            this.startRetentionTimer();
+            this.connectMqtt();
 
             // Setup sound alerts
             this.setupSoundAlerts();
@@ -77,6 +877,7 @@ class SmartRoomVision {
             // Start detection loop (real or demo)
             if (!this.isDemoMode) {
                 this.startDetection();
+                await this.restoreExtraCameras();
             }
 
             this.showNotification('🎉 SmartRoom Vision is ready!', 'success');
@@ -90,9 +891,20 @@ class SmartRoomVision {
         try {
             // Initialize IndexedDB
             this.db = await this.openDB();
+            await this.loadSettings();
+            await this.loadAuditHead();
+            await this.loadAdminLock();
+            await this.loadEncryptionConfig();
+            await this.unlockStorage();
+            await this.openSealedSettings();
+            this.updateEncryptionStatus();
             await this.loadStoredImages();
             await this.loadEventLog();
             await this.loadStats();
+            await this.loadHeatmap(this.toDateInputValue(new Date()));
+            await this.loadClipIndex();
+            await this.loadRules();
+            await this.requestPersistentStorage();
         } catch (error) {
             console.error('Storage initialization failed:', error);
             this.showNotification('Storage initialization failed, using localStorage fallback', 'warning');
@@ -101,7 +913,7 @@ class SmartRoomVision {
 
     async openDB() {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open('SmartRoomVision', 1);
+            const request = indexedDB.open('SmartRoomVision', 5);
 
             request.onerror = () => reject(request.error);
             request.onsuccess = () => resolve(request.result);
@@ -131,6 +943,28 @@ class SmartRoomVision {
                 if (!db.objectStoreNames.contains('settings')) {
                     db.createObjectStore('settings', { keyPath: 'id' });
                 }
+
+                // Heatmaps store (one accumulated grid per day)
+                if (!db.objectStoreNames.contains('heatmaps')) {
+                    db.createObjectStore('heatmaps', { keyPath: 'date' });
+                }
+
+                // Clips store (video recorded around ENTRY / EXIT events)
+                if (!db.objectStoreNames.contains('clips')) {
+                    const clipsStore = db.createObjectStore('clips', { keyPath: 'id', autoIncrement: true });
+                    clipsStore.createIndex('eventId', 'eventId');
+                    clipsStore.createIndex('timestamp', 'timestamp');
+                }
+
+                // Rules store (alert rules edited in Settings)
+                if (!db.objectStoreNames.contains('rules')) {
+                    db.createObjectStore('rules', { keyPath: 'id', autoIncrement: true });
+                }
+
+                // Audit store (hash-chained log of privileged actions, never cleared by the app)
+                if (!db.objectStoreNames.contains('audit')) {
+                    db.createObjectStore('audit', { keyPath: 'seq' });
+                }
             };
         });
     }
@@ -144,10 +978,18 @@ class SmartRoomVision {
             return new Promise((resolve, reject) => {
                 request.onerror = () => reject(request.error);
                 request.onsuccess = () => {
-                    request.result.forEach(image => {
-                        this.storedImages.set(image.localId, image);
-                    });
-                    resolve();
+                    Promise.all(request.result.map(async stored => {
+                        const image = await this.openRecord(stored);
+                        if (!image.imageDataURL) {
+                            this.rememberImage(image);
+                            return;
+                        }
+                        // Photos saved before they were kept as Blobs
+                        const { imageDataURL, ...record } = image;
+                        const converted = { ...record, blob: await this.dataURLToBlob(imageDataURL) };
+                        this.rememberImage(converted);
+                        await this.saveImage(converted);
+                    })).then(resolve, reject);
                 };
             });
         } catch (error) {
@@ -155,6 +997,36 @@ class SmartRoomVision {
         }
     }
 
+    rememberImage(image) {
+        // Keeps the photo in memory with an object URL for <img> elements
+        this.forgetImage(image.localId);
+        this.storedImages.set(image.localId, { ...image, url: URL.createObjectURL(image.blob) });
+    }
+
+    forgetImage(localId) {
+        const image = this.storedImages.get(localId);
+        if (image) {
+            URL.revokeObjectURL(image.url);
+            this.storedImages.delete(localId);
+        }
+    }
+
+    forgetAllImages() {
+        for (const localId of [...this.storedImages.keys()]) {
+            this.forgetImage(localId);
+        }
+    }
+
+    canvasToBlob(canvas, type = 'image/png') {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas could not be encoded'))), type);
+        });
+    }
+
+    async dataURLToBlob(dataURL) {
+        return (await fetch(dataURL)).blob();
+    }
+
     async loadEventLog() {
         try {
             const transaction = this.db.transaction(['events'], 'readonly');
@@ -165,9 +1037,11 @@ class SmartRoomVision {
             return new Promise((resolve, reject) => {
                 request.onerror = () => reject(request.error);
                 request.onsuccess = () => {
-                    this.eventLog = request.result.sort((a, b) => b.timestamp - a.timestamp);
-                    this.updateTimeline();
-                    resolve();
+                    Promise.all(request.result.map(event => this.openRecord(event))).then(events => {
+                        this.eventLog = events.sort((a, b) => b.timestamp - a.timestamp);
+                        this.updateTimeline();
+                        resolve();
+                    }, reject);
                 };
             });
         } catch (error) {
@@ -184,9 +1058,14 @@ class SmartRoomVision {
             return new Promise((resolve, reject) => {
                 request.onerror = () => reject(request.error);
                 request.onsuccess = () => {
-                    if (request.result) {
-                        this.stats = { ...this.stats, ...request.result };
-                    }
+                    const { nextLocalId = 1, ...stats } = request.result || {};
+                    this.stats = { ...this.stats, ...stats };
+
+                    // Older databases did not save the counter, so skip every id that already has photos or events
+                    const usedIds = [...this.storedImages.keys(), ...this.eventLog.map(event => event.localId)];
+                    this.nextLocalId = usedIds.filter(Number.isInteger)
+                        .reduce((next, id) => Math.max(next, id + 1), Math.max(this.nextLocalId, nextLocalId));
+
                     this.updateStatsDisplay();
                     resolve();
                 };
@@ -206,8 +1085,12 @@ class SmartRoomVision {
                 request.onerror = () => reject(request.error);
                 request.onsuccess = () => {
                     if (request.result) {
-                        this.settings = { ...this.settings, ...request.result };
+                        // Secrets sealed with the storage key are opened once the passphrase is known
+                        const { secretCipher = null, ...stored } = request.result;
+                        this.sealedSettings = secretCipher;
+                        this.settings = { ...this.settings, ...stored };
                         this.applySettingsToUI();
+                        this.updateMotionMask();
                     }
                     resolve();
                 };
@@ -234,6 +1117,8 @@ class SmartRoomVision {
                 this.video.onloadedmetadata = () => {
                     this.canvas.width = this.video.videoWidth;
                     this.canvas.height = this.video.videoHeight;
+                    this.mainPipeline.name = stream.getVideoTracks()[0]?.label || 'Main camera';
+                    this.startClipRecorder();
                     resolve();
                 };
             });
@@ -242,37 +1127,272 @@ class SmartRoomVision {
         }
     }
 
-    startDemoMode() {
-        this.isDemoMode = true;
+    stopWebcamStream() {
+        this.stopClipRecorder();
+        if (this.video.srcObject) {
+            this.video.srcObject.getTracks().forEach(track => track.stop());
+            this.video.srcObject = null;
+        }
+    }
 
-        // Hide video element and show demo message
-        const video = document.getElementById('webcam');
-        video.style.display = 'none';
+    async loadVideoFile(file) {
+        this.cancelAnalysis();
+        this.stopDetection();
 
-        // Create demo overlay
-        const demoOverlay = document.createElement('div');
-        demoOverlay.id = 'demo-overlay';
-        demoOverlay.style.cssText = `
-            position: absolute;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: linear-gradient(135deg, #1a1a1a 0%, #2a2a2a 100%);
-            display: flex;
-            flex-direction: column;
-            align-items: center;
-            justify-content: center;
-            color: #00ffff;
-            font-size: 1.2rem;
-            font-weight: 600;
-            text-align: center;
-            border-radius: 15px;
-            z-index: 10;
-        `;
-        demoOverlay.innerHTML = `
-            <div style="margin-bottom: 1rem;">🎭 Demo Mode</div>
-            <div style="font-size: 0.9rem; color: #cccccc;">Camera not available<br>Simulated tracking active</div>
+        // A recorded file replaces both the camera and the demo simulation
+        if (this.isDemoMode) {
+            this.isDemoMode = false;
+            const demoOverlay = document.getElementById('demo-overlay');
+            if (demoOverlay) {
+                demoOverlay.remove();
+            }
+        }
+        this.stopWebcamStream();
+        this.resetTracking();
+
+        if (this.videoFileURL) {
+            URL.revokeObjectURL(this.videoFileURL);
+        }
+        this.videoFileURL = URL.createObjectURL(file);
+        this.sourceType = 'file';
+        this.sourceName = file.name;
+        this.lastProcessedMediaTime = null;
+
+        this.video.autoplay = false;
+        this.video.style.display = 'block';
+        this.video.src = this.videoFileURL;
+
+        await new Promise((resolve, reject) => {
+            this.video.onloadedmetadata = () => {
+                this.canvas.width = this.video.videoWidth;
+                this.canvas.height = this.video.videoHeight;
+                resolve();
+            };
+            this.video.onerror = () => reject(new Error('Unsupported or corrupt video file'));
+        }).catch((error) => {
+            this.showNotification(error.message, 'error');
+            throw error;
+        });
+
+        // Files carry no capture time, so assume the recording ended when the file was last modified
+        this.mediaOrigin = file.lastModified - Math.round(this.video.duration * 1000);
+        this.startClipRecorder();
+
+        document.getElementById('playback-controls').classList.remove('hidden');
+        this.updatePlaybackDisplay();
+        this.drawOverlay();
+        this.startDetection();
+
+        this.showNotification(`Loaded video "${file.name}"`, 'success');
+    }
+
+    async switchToCamera() {
+        if (this.sourceType === 'camera') return;
+
+        this.cancelAnalysis();
+        this.stopDetection();
+        this.stopClipRecorder();
+        this.video.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+        if (this.videoFileURL) {
+            URL.revokeObjectURL(this.videoFileURL);
+            this.videoFileURL = null;
+        }
+
+        this.sourceType = 'camera';
+        this.sourceName = null;
+        this.video.autoplay = true;
+        this.resetTracking();
+        document.getElementById('playback-controls').classList.add('hidden');
+
+        try {
+            await this.startWebcam();
+            this.startDetection();
+            this.showNotification('Switched to camera', 'success');
+        } catch (error) {
+            this.showNotification('Camera not available, switching to demo mode', 'warning');
+            this.startDemoMode();
+        }
+    }
+
+    resetTracking() {
+        // People tracked from the previous source are no longer observable
+        this.trackedPeople.clear();
+        this.tracks = [];
+        this.lastTrackingUpdate = null;
+        this.departedPeople.clear();
+
+        // With several cameras occupancy is the balance of every door's crossings, which the other
+        // doors keep counting
+        if (this.cameraPipelines.size === 1) {
+            this.stats.currentInRoom = 0;
+        }
+        this.updateCurrentPeopleDisplay();
+        this.updateStatsDisplay();
+    }
+
+    getCurrentTimestamp(pipeline = this.activePipeline) {
+        // Recorded files are stamped with media time so replays are reproducible
+        if (this.sourceType === 'file' && pipeline === this.mainPipeline) {
+            return this.mediaOrigin + Math.round(pipeline.video.currentTime * 1000);
+        }
+        return Date.now();
+    }
+
+    createEvent(eventType, localId, details = {}, pipeline = this.activePipeline) {
+        const event = {
+            eventType,
+            localId,
+            timestamp: this.getCurrentTimestamp(pipeline),
+            cameraId: pipeline.id,
+            cameraName: pipeline.name,
+            runId: this.runId,
+            ...details
+        };
+
+        if (this.sourceType === 'file' && pipeline === this.mainPipeline) {
+            event.source = this.sourceName;
+            event.mediaTime = pipeline.video.currentTime;
+        }
+
+        return event;
+    }
+
+    togglePlayback() {
+        if (this.sourceType !== 'file' || this.isAnalyzing) return;
+
+        if (this.video.paused) {
+            this.video.play();
+        } else {
+            this.video.pause();
+        }
+    }
+
+    stepFrame(direction) {
+        if (this.sourceType !== 'file' || this.isAnalyzing) return;
+
+        this.video.pause();
+        const frameDuration = 1 / this.settings.videoFrameRate;
+        this.video.currentTime = Math.min(this.video.duration, Math.max(0, this.video.currentTime + direction * frameDuration));
+    }
+
+    seekTo(fraction) {
+        if (this.sourceType !== 'file' || this.isAnalyzing) return;
+        this.video.currentTime = fraction * this.video.duration;
+    }
+
+    seekVideo(time) {
+        return new Promise((resolve) => {
+            if (Math.abs(this.video.currentTime - time) < 1e-6) {
+                resolve();
+                return;
+            }
+            this.video.addEventListener('seeked', () => resolve(), { once: true });
+            this.video.currentTime = time;
+        });
+    }
+
+    async analyzeVideoFile() {
+        if (this.sourceType !== 'file') return;
+        if (this.isAnalyzing) {
+            this.cancelAnalysis();
+            return;
+        }
+
+        const everyNthFrame = Math.max(1, parseInt(document.getElementById('analyze-every').value) || 1);
+        const step = everyNthFrame / this.settings.videoFrameRate;
+        const duration = this.video.duration;
+        const analyzeBtn = document.getElementById('analyze-btn');
+
+        this.stopDetection();
+        this.video.pause();
+        this.resetTracking();
+        this.isAnalyzing = true;
+        analyzeBtn.textContent = 'Cancel';
+
+        try {
+            // Seek frame by frame instead of playing, so results do not depend on CPU speed
+            for (let frameIndex = 0; frameIndex * step <= duration && this.isAnalyzing; frameIndex++) {
+                await this.seekVideo(frameIndex * step);
+
+                // Every frame counts in offline analysis, however long inference takes
+                const personDetections = await this.detectPeople(this.video, { dropStale: false });
+                this.lastProcessedMediaTime = this.video.currentTime;
+                this.updateTracking(personDetections);
+                this.drawOverlay();
+                this.updateCurrentPeopleDisplay();
+                this.updateStatsDisplay();
+                this.updatePlaybackDisplay();
+            }
+
+            if (this.isAnalyzing) {
+                this.showNotification(`Finished analyzing "${this.sourceName}"`, 'success');
+            }
+        } catch (error) {
+            console.error('Video analysis failed:', error);
+            this.showNotification(`Video analysis failed: ${error.message}`, 'error');
+        } finally {
+            this.isAnalyzing = false;
+            analyzeBtn.textContent = 'Analyze';
+        }
+    }
+
+    cancelAnalysis() {
+        if (!this.isAnalyzing) return;
+        this.isAnalyzing = false;
+        this.showNotification('Video analysis cancelled', 'warning');
+    }
+
+    updatePlaybackDisplay() {
+        if (this.sourceType !== 'file') return;
+
+        const duration = this.video.duration || 0;
+        const seekBar = document.getElementById('seek-bar');
+        seekBar.value = duration ? Math.round((this.video.currentTime / duration) * 1000) : 0;
+
+        document.getElementById('media-time').textContent =
+            `${this.formatMediaTime(this.video.currentTime)} / ${this.formatMediaTime(duration)}`;
+        document.getElementById('play-toggle').textContent = this.video.paused ? '▶️' : '⏸️';
+    }
+
+    formatMediaTime(seconds) {
+        const total = Math.floor(seconds || 0);
+        const minutes = Math.floor(total / 60);
+        return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    startDemoMode() {
+        this.isDemoMode = true;
+
+        // Hide video element and show demo message
+        const video = document.getElementById('webcam');
+        video.style.display = 'none';
+
+        // Create demo overlay
+        const demoOverlay = document.createElement('div');
+        demoOverlay.id = 'demo-overlay';
+        demoOverlay.style.cssText = `
+            position: absolute;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: linear-gradient(135deg, #1a1a1a 0%, #2a2a2a 100%);
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            color: #00ffff;
+            font-size: 1.2rem;
+            font-weight: 600;
+            text-align: center;
+            border-radius: 15px;
+            z-index: 10;
+        `;
+        demoOverlay.innerHTML = `
+            <div style="margin-bottom: 1rem;">🎭 Demo Mode</div>
+            <div style="font-size: 0.9rem; color: #cccccc;">Camera not available<br>Simulated tracking active</div>
         `;
 
         const videoContainer = document.querySelector('.video-container');
@@ -324,6 +1444,9 @@ class SmartRoomVision {
         this.trackedPeople.set(localId, mockPerson);
 
         // Handle entry logic (reuse existing method)
+        if (this.stats.currentInRoom === 0) {
+            this.stats.totalSessions++;
+        }
         this.stats.totalEntered++;
         this.stats.currentInRoom++;
         this.stats.peakOccupancy = Math.max(this.stats.peakOccupancy, this.stats.currentInRoom);
@@ -332,26 +1455,14 @@ class SmartRoomVision {
         this.createMockPhoto(localId);
 
         // Add event to log
-        const event = {
-            eventType: 'ENTRY',
-            localId,
-            timestamp: currentTime
-        };
-        this.eventLog.unshift(event);
-        this.saveEvent(event);
+        this.logEvent(this.createEvent('ENTRY', localId));
 
         // Update UI
         this.updateStatsDisplay();
-        this.updateTimeline();
         this.updateCurrentPeopleDisplay();
 
-        // Add sequential announcement for demo mode (no speech, just visual feedback)
-        const entryCount = this.announcementQueue.filter(a => a.text && a.text.includes('entered')).length + 1;
-        const announcementText = entryCount === 1 ?
-            'A person entered the room' :
-            `A ${this.getOrdinalNumber(entryCount)} person entered the room`;
-
-        this.addToAnnouncementQueue(announcementText);
+        // Queued like a real entry, but processAnnouncementQueue stays silent in demo mode
+        this.announcePerson('entry', localId, this.stats.currentInRoom);
     }
 
     simulatePersonExit() {
@@ -361,6 +1472,7 @@ class SmartRoomVision {
         const localIds = Array.from(this.trackedPeople.keys());
         const exitId = localIds[Math.floor(Math.random() * localIds.length)];
 
+        this.removePerson(exitId);
         this.handleExit(exitId);
     }
 
@@ -383,7 +1495,7 @@ class SmartRoomVision {
         return [x, y, w, h];
     }
 
-    createMockPhoto(localId) {
+    async createMockPhoto(localId) {
         // Create a simple colored avatar for demo mode
         const canvas = document.createElement('canvas');
         const ctx = canvas.getContext('2d');
@@ -406,26 +1518,114 @@ class SmartRoomVision {
         ctx.font = 'bold 20px Arial';
         ctx.fillText(localId, 80, 140);
 
-        const imageDataURL = canvas.toDataURL('image/png');
-
         // Store mock image
         const imageData = {
             localId,
             firstSeenTimestamp: Date.now(),
-            imageDataURL
+            blob: await this.canvasToBlob(canvas)
         };
 
-        this.storedImages.set(localId, imageData);
-        this.saveImage(imageData);
+        this.rememberImage(imageData);
+        await this.saveImage(imageData);
     }
 
     async loadModel() {
+        const backend = DETECTOR_BACKENDS[this.settings.detectorBackend] || DETECTOR_BACKENDS['coco-ssd-lite'];
+
+        try {
+            this.showNotification(`Loading ${backend.label}...`, 'info');
+            const detector = await this.createDetector(backend);
+            this.loadedReplayScript = this.replayScript;
+
+            if (this.detector) {
+                this.detector.dispose();
+            }
+            this.detector = detector;
+
+            // Size the overlay from the script when there is no camera frame to size it from
+            if (!this.video.videoWidth && detector.frameSize) {
+                this.canvas.width = detector.frameSize.width;
+                this.canvas.height = detector.frameSize.height;
+            }
+
+            this.showNotification(`${backend.label} loaded successfully`, 'success');
+        } catch (error) {
+            const fallback = this.getDefaultSettings().detectorBackend;
+            if (this.settings.detectorBackend === fallback) {
+                throw new Error(`Failed to load model: ${error.message}`);
+            }
+
+            // A missing replay script or unreachable custom model must not leave the app without a detector
+            console.warn(`${backend.label} failed to load:`, error);
+            this.showNotification(`${backend.label} failed to load (${error.message}), using ${DETECTOR_BACKENDS[fallback].label}`, 'warning');
+            this.settings.detectorBackend = fallback;
+            await this.loadModel();
+        }
+    }
+
+    async createDetector(backend) {
+        // Run the model in a worker when possible, falling back to the main thread
+        if (this.settings.useWorker && backend.worker && WorkerDetector.isSupported()) {
+            const workerDetector = new WorkerDetector(this.settings.detectorBackend, this.settings, this.settings.maxFrameAgeMs);
+            try {
+                await workerDetector.load();
+                return workerDetector;
+            } catch (error) {
+                console.warn('Detector worker unavailable, running on the main thread:', error);
+                workerDetector.dispose();
+            }
+        }
+
+        const detector = backend.create(this.settings, this.replayScript);
+        await detector.load();
+        return detector;
+    }
+
+    async switchDetector() {
+        const wasDetecting = this.isDetecting;
+        this.stopDetection();
+
+        // Tracks from the previous backend are not comparable with the new one
+        this.resetTracking();
+
+        try {
+            await this.loadModel();
+        } catch (error) {
+            console.error('Detector switch failed:', error);
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        if (wasDetecting || (!this.isDemoMode && this.detector)) {
+            this.startDetection();
+        }
+    }
+
+    async detectPeople(input, options = {}) {
+        let predictions;
+        this.detectionsInFlight++;
+        try {
+            predictions = await this.detector.detect(input, options);
+        } finally {
+            this.detectionsInFlight--;
+        }
+
+        // The worker dropped this frame (busy or result arrived too late)
+        if (!predictions) return null;
+
+        // Filter for person detections only
+        return predictions.filter(prediction =>
+            prediction.class === 'person' && prediction.score > 0.3
+        );
+    }
+
+    async loadReplayFile(file) {
         try {
-            this.showNotification('Loading AI model...', 'info');
-            this.model = await cocoSsd.load();
-            this.showNotification('AI model loaded successfully', 'success');
+            this.replayScript = JSON.parse(await file.text());
+            this.showNotification(`Replay script "${file.name}" loaded`, 'success');
         } catch (error) {
-            throw new Error(`Failed to load model: ${error.message}`);
+            console.error('Failed to read replay script:', error);
+            this.showNotification('Replay script is not valid JSON', 'error');
         }
     }
 
@@ -433,7 +1633,8 @@ class SmartRoomVision {
         // Top controls
         document.getElementById('settings-btn').addEventListener('click', () => this.showSettingsModal());
         document.getElementById('admin-btn').addEventListener('click', () => this.showAdminModal());
-        document.getElementById('export-btn').addEventListener('click', () => this.exportData());
+        document.getElementById('export-btn').addEventListener('click', () => this.showExportModal());
+        document.getElementById('lock-btn').addEventListener('click', () => this.lockAdmin('manual'));
 
         // Live controls
         document.getElementById('mute-btn').addEventListener('click', () => this.toggleMute());
@@ -441,16 +1642,124 @@ class SmartRoomVision {
         document.getElementById('clear-btn').addEventListener('click', () => this.clearStorage());
         document.getElementById('screenshot-btn').addEventListener('click', () => this.takeScreenshot());
         document.getElementById('demo-btn').addEventListener('click', () => this.toggleDemoMode());
+        document.getElementById('tripwire-btn').addEventListener('click', () => this.toggleTripwireEditor());
+        document.getElementById('zone-btn').addEventListener('click', () => this.toggleZoneEditor());
+        document.getElementById('privacy-btn').addEventListener('click', () => this.togglePrivacyMode());
+        document.getElementById('summary-btn').addEventListener('click', () => {
+            this.createSummary(new Date().setHours(0, 0, 0, 0), Date.now(), 'manual');
+        });
+        document.getElementById('background-btn').addEventListener('click', () => this.toggleBackgroundEffect());
+        this.setupOverlayEditor();
+
+        // Video source and playback
+        document.getElementById('source-camera').addEventListener('click', () => this.switchToCamera());
+        document.getElementById('video-file').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.loadVideoFile(e.target.files[0]).catch(error => console.error('Failed to load video file:', error));
+            }
+            e.target.value = '';
+        });
+        document.getElementById('play-toggle').addEventListener('click', () => this.togglePlayback());
+        document.getElementById('step-back').addEventListener('click', () => this.stepFrame(-1));
+        document.getElementById('step-forward').addEventListener('click', () => this.stepFrame(1));
+        document.getElementById('seek-bar').addEventListener('input', (e) => this.seekTo(e.target.value / 1000));
+        document.getElementById('analyze-btn').addEventListener('click', () => this.analyzeVideoFile());
+        ['timeupdate', 'play', 'pause', 'ended'].forEach(type => {
+            this.video.addEventListener(type, () => this.updatePlaybackDisplay());
+        });
 
         // Settings modal
         document.getElementById('settings-close').addEventListener('click', () => this.hideSettingsModal());
         document.getElementById('save-settings').addEventListener('click', () => this.saveSettings());
         document.getElementById('reset-settings').addEventListener('click', () => this.resetSettings());
+        document.getElementById('draw-motion-mask').addEventListener('click', () => this.startMotionMaskEditor());
+        document.getElementById('clear-motion-mask').addEventListener('click', () => this.clearMotionMask());
+        document.getElementById('replay-file').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.loadReplayFile(e.target.files[0]);
+            }
+        });
+        document.getElementById('announce-lang').addEventListener('change', (e) => {
+            this.populateVoiceOptions(e.target.value, document.getElementById('announce-voice').value);
+        });
+        document.getElementById('announce-test').addEventListener('click', () => this.testAnnouncement());
+        if ('speechSynthesis' in window) {
+            // Most browsers list their voices asynchronously
+            speechSynthesis.addEventListener('voiceschanged', () => {
+                const form = this.readAnnouncementSettings();
+                this.populateVoiceOptions(form.announceLang, form.announceVoice);
+            });
+        }
 
         // Admin modal
         document.getElementById('admin-close').addEventListener('click', () => this.hideAdminModal());
         document.getElementById('download-logs').addEventListener('click', () => this.downloadLogs());
         document.getElementById('clear-logs').addEventListener('click', () => this.clearLogs());
+        document.getElementById('stats-refresh').addEventListener('click', () => this.updateStatisticsDisplay());
+        document.getElementById('logs-apply').addEventListener('click', () => {
+            document.getElementById('logs-list').scrollTop = 0;
+            this.updateLogsDisplay();
+        });
+        document.getElementById('logs-list').addEventListener('scroll', () => this.scheduleLogRowsRender());
+        document.getElementById('log-drawer-close').addEventListener('click', () => this.hideLogDrawer());
+        document.getElementById('history-date').addEventListener('change', () => this.loadHistoryDay());
+        document.getElementById('history-scrubber').addEventListener('input', (e) => this.setHistoryTime(Number(e.target.value)));
+        document.getElementById('history-prev').addEventListener('click', () => this.stepHistoryEvent(-1));
+        document.getElementById('history-next').addEventListener('click', () => this.stepHistoryEvent(1));
+
+        // Rules
+        document.getElementById('add-rule').addEventListener('click', () => this.addRuleFromForm());
+        document.getElementById('alert-banner-close').addEventListener('click', () => this.hideAlertBanner());
+
+        // Admin lock and audit trail
+        document.getElementById('admin-pin-set').addEventListener('click', () => this.setAdminPin());
+        document.getElementById('admin-pin-remove').addEventListener('click', () => this.removeAdminPin());
+        document.getElementById('audit-verify').addEventListener('click', () => this.showAuditVerification());
+        ['pointerdown', 'keydown'].forEach(type => {
+            // Any activity keeps an unlocked admin session alive
+            document.addEventListener(type, () => {
+                if (this.adminLock && this.adminUnlockedUntil > Date.now()) {
+                    this.touchAdminSession();
+                }
+            });
+        });
+        this.updateAdminLockDisplay();
+
+        // Storage encryption
+        document.getElementById('encryption-enable').addEventListener('click', () => this.setEncryptionPassphrase());
+        document.getElementById('encryption-disable').addEventListener('click', () => this.disableEncryption());
+
+        // Import
+        document.getElementById('import-btn').addEventListener('click', async () => {
+            if (await this.requireAdmin('import data')) {
+                document.getElementById('import-file').click();
+            }
+        });
+        document.getElementById('import-file').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.previewImport(e.target.files[0]);
+            }
+        });
+        document.getElementById('import-close').addEventListener('click', () => this.hideImportModal());
+        document.getElementById('import-cancel').addEventListener('click', () => this.hideImportModal());
+        document.getElementById('import-confirm').addEventListener('click', () => this.confirmImport());
+
+        // Export dialog
+        document.getElementById('export-close').addEventListener('click', () => this.hideExportModal());
+        document.getElementById('export-format').addEventListener('change', () => this.updateExportForm());
+        document.getElementById('export-run').addEventListener('click', () => this.runExport());
+
+        // Cameras
+        document.getElementById('camera-refresh').addEventListener('click', () => this.refreshCameraList());
+        this.refreshCameraList();
+
+        // Clip player
+        document.getElementById('clip-close').addEventListener('click', () => this.hideClipModal());
+
+        // Heatmap
+        document.getElementById('heatmap-toggle').addEventListener('click', () => this.toggleHeatmap());
+        document.getElementById('heatmap-reset').addEventListener('click', () => this.resetHeatmap());
+        document.getElementById('heatmap-export').addEventListener('click', () => this.exportHeatmap());
 
         // Tab switching
         document.querySelectorAll('.admin-tab').forEach(tab => {
@@ -462,6 +1771,9 @@ class SmartRoomVision {
             if (e.target.classList.contains('modal')) {
                 this.hideSettingsModal();
                 this.hideAdminModal();
+                this.hideClipModal();
+                this.hideExportModal();
+                this.hideImportModal();
             }
         });
     }
@@ -513,7 +1825,8 @@ class SmartRoomVision {
     }
 
     async detectFrame() {
-        if (!this.isDetecting || !this.model || this.video.readyState !== 4) {
+        const videoReady = this.detector && (!this.detector.requiresVideo || this.video.readyState === 4);
+        if (!this.isDetecting || !videoReady) {
             this.animationFrame = requestAnimationFrame(() => this.detectFrame());
             return;
         }
@@ -526,18 +1839,44 @@ class SmartRoomVision {
         }
         this.lastDetectionTime = now;
 
-        try {
-            const predictions = await this.model.detect(this.video);
+        // Skip the model entirely while an empty scene stays still
+        const motionScore = this.updateMotionActivity();
+        if (this.shouldSkipDetection(motionScore, now)) {
+            if (!this.isDetectionIdle) {
+                this.isDetectionIdle = true;
+                this.drawOverlay();
+            }
+            this.animationFrame = requestAnimationFrame(() => this.detectFrame());
+            return;
+        }
+        this.isDetectionIdle = false;
+        this.lastModelRunTime = now;
+
+        // Recorded files: only process frames that changed, and restart tracking after seeking backwards
+        if (this.sourceType === 'file') {
+            const mediaTime = this.video.currentTime;
+            if (mediaTime === this.lastProcessedMediaTime) {
+                this.animationFrame = requestAnimationFrame(() => this.detectFrame());
+                return;
+            }
+            if (this.lastProcessedMediaTime !== null && mediaTime < this.lastProcessedMediaTime) {
+                this.resetTracking();
+            }
+            this.lastProcessedMediaTime = mediaTime;
+        }
 
-            // Filter for person detections only
-            const personDetections = predictions.filter(prediction =>
-                prediction.class === 'person' && prediction.score > 0.3
-            );
+        try {
+            const personDetections = await this.detectPeople(this.video);
+            if (!personDetections) {
+                this.animationFrame = requestAnimationFrame(() => this.detectFrame());
+                return;
+            }
 
             // Update tracking
             this.updateTracking(personDetections);
 
             // Draw overlay
+            this.updateFPS();
             this.drawOverlay();
 
             // Update UI
@@ -552,402 +1891,3178 @@ class SmartRoomVision {
     }
 
     updateTracking(detections) {
-        const currentTime = Date.now();
+        const currentTime = this.getCurrentTimestamp();
         const timeoutThreshold = this.settings.trackerTimeoutSeconds * 1000;
+        const dt = this.lastTrackingUpdate === null ? 0 : Math.max(0, (currentTime - this.lastTrackingUpdate) / 1000);
+        this.lastTrackingUpdate = currentTime;
 
-        // Update existing tracks
-        for (const [localId, person] of this.trackedPeople.entries()) {
-            person.lastSeenTimestamp = currentTime;
+        // Predict where every track should be in this frame
+        for (const track of this.tracks) {
+            track.predictedBbox = track.kalman.predict(dt);
+        }
+
+        // Globally optimal assignment of detections to predicted boxes (cost = 1 - IoU)
+        const cost = this.tracks.map(track =>
+            detections.map(detection => 1 - this.calculateIoU(track.predictedBbox, detection.bbox))
+        );
+        const assignment = solveAssignment(cost);
+        const matchedDetections = new Set();
+
+        this.tracks.forEach((track, trackIndex) => {
+            const detectionIndex = assignment[trackIndex];
+            if (detectionIndex >= 0 && 1 - cost[trackIndex][detectionIndex] >= TRACK_MATCH_IOU) {
+                matchedDetections.add(detectionIndex);
+                this.updateTrack(track, detections[detectionIndex], currentTime);
+            } else {
+                this.markTrackMissed(track);
+            }
+        });
 
-            // Check if person has timed out
-            if (currentTime - person.firstSeenTimestamp > timeoutThreshold) {
-                this.handleExit(localId);
+        // Unmatched detections start tentative tracks
+        detections.forEach((detection, index) => {
+            if (!matchedDetections.has(index)) {
+                this.tracks.push(this.createTrack(detection, currentTime));
             }
+        });
+
+        // Every camera has its own lines and zones; the heatmap is in main camera coordinates
+        if (!this.isTrackCounting()) {
+            this.updateLineCrossings();
+        }
+        this.updateZones();
+        if (this.isMainPipeline()) {
+            this.accumulateHeatmap(currentTime, dt);
         }
 
-        // Match detections to existing tracks using IoU
-        const unmatchedDetections = [...detections];
-        const unmatchedTracks = new Set(this.trackedPeople.keys());
+        // Lost tracks are dropped once they have been unseen for longer than the timeout,
+        // but stay re-identifiable until the reappear window has passed too
+        for (const track of this.tracks) {
+            if (track.state === 'lost' && currentTime - track.lastSeenTimestamp > timeoutThreshold) {
+                track.state = 'deleted';
+                this.removePerson(track.localId);
+                this.departedPeople.set(track.localId, track);
+            }
+        }
 
-        for (const detection of detections) {
-            let bestMatch = null;
-            let bestIoU = 0;
+        this.tracks = this.tracks.filter(track => track.state !== 'deleted');
+        this.expireDepartedPeople(currentTime);
+    }
 
-            for (const [localId, person] of this.trackedPeople.entries()) {
-                if (!unmatchedTracks.has(localId)) continue;
+    expireDepartedPeople(currentTime) {
+        const reappearWindow = this.settings.reappearThresholdSeconds * 1000;
 
-                const iou = this.calculateIoU(detection.bbox, person.bbox);
-                if (iou > 0.3 && iou > bestIoU) { // IoU threshold
-                    bestMatch = localId;
-                    bestIoU = iou;
-                }
-            }
+        for (const [localId, person] of this.departedPeople.entries()) {
+            if (currentTime - person.lastSeenTimestamp <= reappearWindow) continue;
 
-            if (bestMatch !== null) {
-                // Update existing track
-                const person = this.trackedPeople.get(bestMatch);
-                person.bbox = detection.bbox;
-                person.lastSeenTimestamp = currentTime;
-                unmatchedTracks.delete(bestMatch);
-                const detectionIndex = unmatchedDetections.indexOf(detection);
-                if (detectionIndex > -1) unmatchedDetections.splice(detectionIndex, 1);
+            this.departedPeople.delete(localId);
+            // In track counting mode, leaving for good is what an EXIT means
+            if (this.isTrackCounting()) {
+                this.handleExit(localId, {}, this.activePipeline);
             }
         }
+    }
 
-        // Create new tracks for unmatched detections
-        for (const detection of unmatchedDetections) {
-            const localId = this.nextLocalId++;
-            const newPerson = {
-                localId,
-                firstSeenTimestamp: currentTime,
-                lastSeenTimestamp: currentTime,
-                bbox: detection.bbox,
-                confidence: detection.score
-            };
+    createTrack(detection, currentTime) {
+        const track = {
+            trackId: this.nextTrackId++,
+            localId: null,
+            cameraId: this.activePipeline.id,
+            cameraName: this.activePipeline.name,
+            state: 'tentative',
+            kalman: new KalmanBoxFilter(detection.bbox),
+            bbox: detection.bbox,
+            predictedBbox: detection.bbox,
+            keypoints: detection.keypoints,
+            confidence: detection.score,
+            hits: 1,
+            misses: 0,
+            firstSeenTimestamp: currentTime,
+            lastSeenTimestamp: currentTime
+        };
 
-            this.trackedPeople.set(localId, newPerson);
-            this.handleEntry(localId, detection.bbox);
+        // With a minimum of one frame the first detection is already enough
+        if (track.hits >= this.settings.minHitsForEntry) {
+            this.confirmTrack(track, detection, currentTime);
         }
+        return track;
+    }
 
-        // Handle exits for unmatched tracks
-        for (const localId of unmatchedTracks) {
-            const person = this.trackedPeople.get(localId);
-            if (currentTime - person.lastSeenTimestamp > timeoutThreshold) {
-                this.handleExit(localId);
-            }
+    confirmTrack(track, detection, currentTime) {
+        // Only tracks that persist for minHitsForEntry frames become people and fire an ENTRY
+        track.state = 'confirmed';
+        this.updateAppearance(track);
+
+        if (this.reidentifyTrack(track, currentTime)) return;
+
+        track.localId = this.nextLocalId++;
+        this.saveStats();
+        this.trackedPeople.set(track.localId, track);
+        if (this.isTrackCounting()) {
+            this.handleEntry(track.localId, detection.bbox, {}, this.activePipeline);
         }
     }
 
-    calculateIoU(bbox1, bbox2) {
-        const [x1, y1, w1, h1] = bbox1;
-        const [x2, y2, w2, h2] = bbox2;
+    updateTrack(track, detection, currentTime) {
+        track.bbox = track.kalman.update(detection.bbox);
+        track.keypoints = detection.keypoints;
+        track.confidence = detection.score;
+        track.hits++;
+        track.misses = 0;
+        track.lastSeenTimestamp = currentTime;
 
-        const xOverlap = Math.max(0, Math.min(x1 + w1, x2 + w2) - Math.max(x1, x2));
-        const yOverlap = Math.max(0, Math.min(y1 + h1, y2 + h2) - Math.max(y1, y2));
+        if (track.state !== 'tentative' && track.hits % 5 === 0) {
+            this.updateAppearance(track);
+        }
 
-        const intersection = xOverlap * yOverlap;
-        const union = w1 * h1 + w2 * h2 - intersection;
+        if (track.state === 'lost') {
+            track.state = 'confirmed';
+        } else if (track.state === 'tentative' && track.hits >= this.settings.minHitsForEntry) {
+            this.confirmTrack(track, detection, currentTime);
+        }
+    }
 
-        return union === 0 ? 0 : intersection / union;
+    // Appearance re-identification
+    computeAppearanceDescriptor(bbox) {
+        if (!this.video.videoWidth) return null;
+
+        const [x, y, width, height] = bbox;
+        const sx = Math.max(0, x);
+        const sy = Math.max(0, y);
+        const sw = Math.min(this.video.videoWidth - sx, width);
+        const sh = Math.min(this.video.videoHeight - sy, height);
+        if (sw <= 1 || sh <= 1) return null;
+
+        const { width: cw, height: ch } = this.appearanceCanvas;
+        this.appearanceCtx.drawImage(this.video, sx, sy, sw, sh, 0, 0, cw, ch);
+        const pixels = this.appearanceCtx.getImageData(0, 0, cw, ch).data;
+
+        const descriptor = new Float32Array(APPEARANCE_REGION_BINS * 2);
+        for (let py = 0; py < ch; py++) {
+            const regionOffset = py < ch / 2 ? 0 : APPEARANCE_REGION_BINS;
+
+            for (let px = 0; px < cw; px++) {
+                const i = (py * cw + px) * 4;
+                const r = pixels[i] / 255;
+                const g = pixels[i + 1] / 255;
+                const b = pixels[i + 2] / 255;
+                const max = Math.max(r, g, b);
+                const min = Math.min(r, g, b);
+                const chroma = max - min;
+                const saturation = max === 0 ? 0 : chroma / max;
+
+                let bin;
+                if (saturation < 0.2 || max < 0.15) {
+                    // Near-gray pixels have no meaningful hue, bin them by brightness instead
+                    bin = APPEARANCE_HUE_BINS * 2 + Math.min(APPEARANCE_GRAY_BINS - 1, Math.floor(max * APPEARANCE_GRAY_BINS));
+                } else {
+                    let hue;
+                    if (max === r) hue = ((g - b) / chroma + 6) % 6;
+                    else if (max === g) hue = (b - r) / chroma + 2;
+                    else hue = (r - g) / chroma + 4;
+
+                    const hueBin = Math.min(APPEARANCE_HUE_BINS - 1, Math.floor((hue / 6) * APPEARANCE_HUE_BINS));
+                    bin = hueBin * 2 + (saturation > 0.55 ? 1 : 0);
+                }
+                descriptor[regionOffset + bin]++;
+            }
+        }
+
+        // Normalize each region to a probability distribution
+        const pixelsPerRegion = (cw * ch) / 2;
+        for (let i = 0; i < descriptor.length; i++) {
+            descriptor[i] /= pixelsPerRegion;
+        }
+        return descriptor;
     }
 
-    async handleEntry(localId, bbox) {
-        this.stats.totalEntered++;
-        this.stats.currentInRoom++;
-        this.stats.peakOccupancy = Math.max(this.stats.peakOccupancy, this.stats.currentInRoom);
+    updateAppearance(track) {
+        const descriptor = this.computeAppearanceDescriptor(track.bbox);
+        if (!descriptor) return;
 
-        // Capture and store photo
-        await this.capturePersonPhoto(localId, bbox);
+        if (!track.appearance) {
+            track.appearance = descriptor;
+            return;
+        }
 
-        // Add event to log
-        const event = {
-            eventType: 'ENTRY',
-            localId,
-            timestamp: Date.now()
-        };
-        this.eventLog.unshift(event);
-        await this.saveEvent(event);
+        // Running average smooths out pose and lighting changes
+        for (let i = 0; i < descriptor.length; i++) {
+            track.appearance[i] = track.appearance[i] * 0.8 + descriptor[i] * 0.2;
+        }
+    }
 
-        // Update UI
-        this.updateStatsDisplay();
-        this.updateTimeline();
+    reidentifyTrack(track, currentTime) {
+        if (!track.appearance) return false;
 
-        // Add sequential announcement for entry
-        const entryCount = this.announcementQueue.filter(a => a.text.includes('entered')).length + 1;
-        const announcementText = entryCount === 1 ?
-            'A person entered the room' :
-            `A ${this.getOrdinalNumber(entryCount)} person entered the room`;
+        const reappearWindow = this.settings.reappearThresholdSeconds * 1000;
+        const candidates = [
+            ...this.tracks.filter(other => other.state === 'lost'),
+            ...this.departedPeople.values()
+        ];
 
-        this.addToAnnouncementQueue(announcementText);
+        let bestMatch = null;
+        let bestSimilarity = this.settings.reidSimilarity;
+        for (const candidate of candidates) {
+            if (!candidate.appearance || currentTime - candidate.lastSeenTimestamp > reappearWindow) continue;
 
-        if (this.entrySound && !this.isMuted) {
-            this.entrySound.play();
+            const similarity = appearanceSimilarity(track.appearance, candidate.appearance);
+            if (similarity >= bestSimilarity) {
+                bestMatch = candidate;
+                bestSimilarity = similarity;
+            }
         }
 
-        this.showNotification(`Person ${localId} entered the room`, 'success');
-    }
+        if (!bestMatch) return false;
 
-    async handleExit(localId) {
-        if (!this.trackedPeople.has(localId)) return;
+        // The new track takes over the identity and room state of the person it matched
+        if (bestMatch.state === 'lost') {
+            bestMatch.state = 'deleted';
+            track.zoneEntries = bestMatch.zoneEntries;
+        }
+        this.departedPeople.delete(bestMatch.localId);
 
-        this.stats.totalLeft++;
-        this.stats.currentInRoom = Math.max(0, this.stats.currentInRoom - 1);
+        track.localId = bestMatch.localId;
+        track.firstSeenTimestamp = bestMatch.firstSeenTimestamp;
+        track.insideRoom = bestMatch.insideRoom;
+        track.zoneDwell = bestMatch.zoneDwell;
+        this.trackedPeople.set(track.localId, track);
+        this.updateCurrentPeopleDisplay();
 
-        this.trackedPeople.delete(localId);
+        this.logEvent(this.createEvent('REAPPEAR', track.localId, {
+            goneForMs: currentTime - bestMatch.lastSeenTimestamp,
+            similarity: Math.round(bestSimilarity * 100) / 100
+        }));
+        return true;
+    }
+
+    removePerson(localId) {
+        const person = this.trackedPeople.get(localId);
+        if (person) {
+            this.leaveAllZones(person);
+        }
+        this.trackedPeople.delete(localId);
+        this.updateCurrentPeopleDisplay();
+    }
+
+    async logEvent(event) {
+        this.eventLog.unshift(event);
+        // Before the await, so occupancy conditions see the room as it was when the event happened
+        this.evaluateEventRules(event);
+        event.id = await this.saveEvent(event);
+        this.updateTimeline();
+        this.publishEvent(event);
+
+        // Keep an open Event Logs tab current, a new type included
+        if (this.isLogsTabVisible()) {
+            const typeSelect = document.getElementById('logs-type');
+            if (![...typeSelect.options].some(option => option.value === event.eventType)) {
+                this.updateLogTypeFilter();
+            }
+            this.scheduleLogsRefresh();
+        }
+
+        if (event.eventType === 'ENTRY' || event.eventType === 'EXIT') {
+            this.recordEventClip(event);
+        }
+    }
+
+    // Motion activity
+    updateMotionActivity() {
+        if (!this.video.videoWidth) return 0;
+
+        this.motionCtx.drawImage(this.video, 0, 0, MOTION_COLS, MOTION_ROWS);
+        const pixels = this.motionCtx.getImageData(0, 0, MOTION_COLS, MOTION_ROWS).data;
+        const frame = new Uint8Array(MOTION_COLS * MOTION_ROWS);
+        for (let i = 0; i < frame.length; i++) {
+            frame[i] = (pixels[i * 4] * 77 + pixels[i * 4 + 1] * 150 + pixels[i * 4 + 2] * 29) >> 8;
+        }
+
+        let score = 0;
+        if (this.previousMotionFrame) {
+            // Higher sensitivity lowers the per-pixel brightness change that counts as motion
+            const threshold = 60 - this.settings.motionSensitivity * 0.5;
+            let changed = 0;
+            let counted = 0;
+
+            for (let i = 0; i < frame.length; i++) {
+                if (this.motionMaskCells && !this.motionMaskCells[i]) continue;
+                counted++;
+                if (Math.abs(frame[i] - this.previousMotionFrame[i]) > threshold) {
+                    changed++;
+                }
+            }
+
+            // 20% of the frame changing fills the bar
+            score = counted ? Math.min(100, Math.round((changed / counted) * 500)) : 0;
+        }
+        this.previousMotionFrame = frame;
+        this.motionScore = score;
+
+        document.getElementById('activity-fill').style.width = `${score}%`;
+        return score;
+    }
+
+    shouldSkipDetection(motionScore, now) {
+        if (!this.settings.motionGating || !this.detector.requiresVideo) return false;
+
+        // Never skip while anyone is being tracked, or once the idle fallback interval is up
+        const roomEmpty = this.tracks.length === 0 && this.trackedPeople.size === 0;
+        const fallbackDue = now - this.lastModelRunTime >= this.settings.motionIdleIntervalMs;
+        return roomEmpty && motionScore < MOTION_TRIGGER_SCORE && !fallbackDue;
+    }
+
+    updateMotionMask() {
+        const polygon = this.settings.motionMask;
+        if (!polygon || polygon.length < 3) {
+            this.motionMaskCells = null;
+            return;
+        }
+
+        this.motionMaskCells = new Uint8Array(MOTION_COLS * MOTION_ROWS);
+        for (let row = 0; row < MOTION_ROWS; row++) {
+            for (let col = 0; col < MOTION_COLS; col++) {
+                const center = [(col + 0.5) / MOTION_COLS, (row + 0.5) / MOTION_ROWS];
+                this.motionMaskCells[row * MOTION_COLS + col] = pointInPolygon(center, polygon) ? 1 : 0;
+            }
+        }
+    }
+
+    startMotionMaskEditor() {
+        this.hideSettingsModal();
+        this.setOverlayEditMode('mask');
+    }
+
+    async clearMotionMask() {
+        this.settings.motionMask = [];
+        this.updateMotionMask();
+        await this.persistSettings();
+        this.drawOverlay();
+        this.showNotification('Motion mask cleared, the whole frame is watched', 'success');
+    }
+
+    drawMotionMask() {
+        // Only shown while editing; it is a setting, not live information
+        const polygon = this.settings.motionMask;
+        if (this.overlayEditMode !== 'mask' || polygon.length < 3) return;
+
+        const ctx = this.overlayCtx;
+        ctx.beginPath();
+        polygon.forEach(([x, y], i) => {
+            const px = x * this.canvas.width;
+            const py = y * this.canvas.height;
+            if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+        });
+        ctx.closePath();
+        ctx.globalAlpha = 0.12;
+        ctx.fillStyle = '#ffff00';
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = '#ffff00';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    // Event clips
+    startClipRecorder(pipeline = this.mainPipeline) {
+        this.stopClipRecorder(pipeline);
+        if (!this.settings.clipsEnabled || !ClipRecorder.isSupported()) return;
+
+        try {
+            const stream = this.settings.clipIncludeOverlay ? this.startClipComposite(pipeline) : this.getVideoStream(pipeline);
+            if (!stream) return;
+
+            pipeline.clipRecorder = new ClipRecorder(stream, this.settings.clipPreRollSeconds * 1000);
+            pipeline.clipRecorder.start();
+        } catch (error) {
+            console.error(`Clip recording unavailable on ${pipeline.name}:`, error);
+            pipeline.clipRecorder = null;
+        }
+    }
+
+    stopClipRecorder(pipeline = this.mainPipeline) {
+        if (pipeline.clipRecorder) {
+            pipeline.clipRecorder.stop();
+            pipeline.clipRecorder = null;
+        }
+        if (pipeline.clipCompositeFrame) {
+            cancelAnimationFrame(pipeline.clipCompositeFrame);
+            pipeline.clipCompositeFrame = null;
+        }
+    }
+
+    getVideoStream(pipeline) {
+        const video = pipeline.video;
+        if (video.srcObject) return video.srcObject;
+        return video.captureStream ? video.captureStream() : null;
+    }
+
+    startClipComposite(pipeline) {
+        // Copy video and overlay into one canvas every frame and record that instead
+        if (!pipeline.clipCompositeCanvas) {
+            pipeline.clipCompositeCanvas = document.createElement('canvas');
+        }
+        const canvas = pipeline.clipCompositeCanvas;
+        const ctx = canvas.getContext('2d');
+        canvas.width = pipeline.video.videoWidth;
+        canvas.height = pipeline.video.videoHeight;
+
+        const draw = () => {
+            ctx.drawImage(pipeline.video, 0, 0, canvas.width, canvas.height);
+            ctx.drawImage(pipeline.canvas, 0, 0, canvas.width, canvas.height);
+            pipeline.clipCompositeFrame = requestAnimationFrame(draw);
+        };
+        draw();
+
+        return canvas.captureStream(this.settings.videoFrameRate);
+    }
+
+    async recordEventClip(event) {
+        // The clip comes from the camera that saw the event
+        const pipeline = this.cameraPipelines.get(event.cameraId);
+        const recorder = pipeline?.clipRecorder;
+        // Seeking through a file during analysis produces no real-time video to record
+        const analyzing = this.isAnalyzing && pipeline === this.mainPipeline;
+        if (!recorder || analyzing || event.id === undefined) return;
+
+        const clip = await recorder.capture(Date.now(), this.settings.clipPostRollSeconds * 1000);
+        if (!clip || clip.blob.size === 0) return;
+
+        try {
+            const record = await this.sealRecord('clips', {
+                eventId: event.id,
+                localId: event.localId,
+                eventType: event.eventType,
+                timestamp: event.timestamp,
+                startTime: clip.startTime,
+                endTime: clip.endTime,
+                mimeType: clip.blob.type,
+                blob: clip.blob
+            });
+            const transaction = this.db.transaction(['clips'], 'readwrite');
+            const request = transaction.objectStore('clips').add(record);
+
+            await new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+
+            this.clipEventIds.add(event.id);
+            this.updateLogsDisplay();
+        } catch (error) {
+            console.error('Failed to save clip:', error);
+        }
+    }
+
+    async loadClipIndex() {
+        // Only the event ids are needed up front, blobs are read when a clip is played
+        const transaction = this.db.transaction(['clips'], 'readonly');
+        const request = transaction.objectStore('clips').index('eventId').openKeyCursor();
+
+        await new Promise((resolve, reject) => {
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                this.clipEventIds.add(cursor.key);
+                cursor.continue();
+            };
+        });
+    }
+
+    async getClipForEvent(eventId) {
+        const transaction = this.db.transaction(['clips'], 'readonly');
+        const request = transaction.objectStore('clips').index('eventId').get(eventId);
+
+        const clip = await new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+        return clip && this.openRecord(clip);
+    }
+
+    async getAllClips() {
+        const clips = await this.getAllRecords('clips');
+        return Promise.all(clips.map(clip => this.openRecord(clip)));
+    }
+
+    async getAllRecords(storeName) {
+        // Raw records, still encrypted when encryption is on
+        const transaction = this.db.transaction([storeName], 'readonly');
+        const request = transaction.objectStore(storeName).getAll();
+
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async playEventClip(event) {
+        try {
+            const clip = await this.getClipForEvent(event.id);
+            if (!clip) {
+                this.showNotification('No clip stored for this event', 'warning');
+                return;
+            }
+
+            this.hideClipModal();
+            this.clipPlayerURL = URL.createObjectURL(clip.blob);
+
+            const player = document.getElementById('clip-player');
+            player.src = this.clipPlayerURL;
+            document.getElementById('clip-title').textContent =
+                `${this.describeEvent(event)} — ${new Date(event.timestamp).toLocaleString()}`;
+            document.getElementById('clip-modal').classList.add('active');
+            player.play().catch(() => {});
+        } catch (error) {
+            console.error('Failed to play clip:', error);
+            this.showNotification('Failed to load clip', 'error');
+        }
+    }
+
+    hideClipModal() {
+        const player = document.getElementById('clip-player');
+        player.pause();
+        player.removeAttribute('src');
+        player.load();
+        document.getElementById('clip-modal').classList.remove('active');
+
+        if (this.clipPlayerURL) {
+            URL.revokeObjectURL(this.clipPlayerURL);
+            this.clipPlayerURL = null;
+        }
+    }
+
+    blobToDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // MQTT
+    connectMqtt() {
+        this.disconnectMqtt();
+        if (!this.settings.mqttEnabled) {
+            this.updateMqttStatus('off');
+            return;
+        }
+        if (typeof mqtt === 'undefined') {
+            this.updateMqttStatus('error', 'library not loaded');
+            return;
+        }
+
+        const statusTopic = this.formatMqttTemplate(this.settings.mqttStatusTopic, {});
+        this.updateMqttStatus('connecting');
+
+        try {
+            this.mqttClient = mqtt.connect(this.settings.mqttUrl, {
+                username: this.settings.mqttUsername || undefined,
+                password: this.settings.mqttPassword || undefined,
+                reconnectPeriod: 5000,
+                connectTimeout: 10000,
+                clean: true,
+                // The broker announces us as offline if the page disappears without disconnecting
+                will: {
+                    topic: statusTopic,
+                    payload: JSON.stringify({ status: 'offline', reason: 'connection lost' }),
+                    qos: 1,
+                    retain: true
+                }
+            });
+        } catch (error) {
+            console.error('MQTT connection failed:', error);
+            this.updateMqttStatus('error', error.message);
+            return;
+        }
+
+        this.mqttClient.on('connect', () => {
+            this.mqttClient.publish(statusTopic, JSON.stringify({ status: 'online', timestamp: Date.now() }), { qos: 1, retain: true });
+            // Republish occupancy so the retained value is current after an outage
+            this.lastPublishedOccupancy = null;
+            this.publishOccupancy();
+            this.flushMqttQueue();
+            this.updateMqttStatus('online');
+        });
+        this.mqttClient.on('reconnect', () => this.updateMqttStatus('connecting'));
+        this.mqttClient.on('offline', () => this.updateMqttStatus('offline'));
+        this.mqttClient.on('error', (error) => {
+            console.error('MQTT error:', error);
+            this.updateMqttStatus('error', error.message);
+        });
+    }
+
+    disconnectMqtt() {
+        if (!this.mqttClient) return;
+
+        // A clean disconnect does not trigger the last will, so say goodbye explicitly
+        const client = this.mqttClient;
+        this.mqttClient = null;
+        if (client.connected) {
+            const statusTopic = this.formatMqttTemplate(this.settings.mqttStatusTopic, {});
+            client.publish(statusTopic, JSON.stringify({ status: 'offline', reason: 'disconnected' }), { qos: 1, retain: true });
+        }
+        client.end();
+    }
+
+    formatMqttTemplate(template, values) {
+        const all = { prefix: this.settings.mqttTopicPrefix, ...values };
+        return template.replace(/\{(\w+)\}/g, (match, key) => (key in all ? String(all[key]) : match));
+    }
+
+    getMqttValues(timestamp, extra = {}) {
+        return {
+            occupancy: this.stats.currentInRoom,
+            timestamp,
+            iso: new Date(timestamp).toISOString(),
+            ...extra
+        };
+    }
+
+    publishEvent(event) {
+        if (!this.settings.mqttEnabled) return;
+
+        const values = this.getMqttValues(event.timestamp, {
+            type: event.eventType,
+            id: event.localId ?? 'null'
+        });
+        this.publishMqtt(
+            this.formatMqttTemplate(this.settings.mqttEventTopic, values),
+            this.formatMqttTemplate(this.settings.mqttEventPayload, values),
+            { qos: 1, retain: false }
+        );
+    }
+
+    publishOccupancy() {
+        if (!this.settings.mqttEnabled || this.stats.currentInRoom === this.lastPublishedOccupancy) return;
+        this.lastPublishedOccupancy = this.stats.currentInRoom;
+
+        // Retained, so anything subscribing later immediately learns the current count
+        const values = this.getMqttValues(this.getCurrentTimestamp());
+        this.publishMqtt(
+            this.formatMqttTemplate(this.settings.mqttOccupancyTopic, values),
+            this.formatMqttTemplate(this.settings.mqttOccupancyPayload, values),
+            { qos: 1, retain: true }
+        );
+    }
+
+    publishMqtt(topic, payload, options) {
+        if (this.mqttClient && this.mqttClient.connected) {
+            this.mqttClient.publish(topic, payload, options);
+            return;
+        }
+
+        // Keep the newest messages while offline; only the latest retained value per topic matters
+        if (options.retain) {
+            this.mqttQueue = this.mqttQueue.filter(message => !(message.options.retain && message.topic === topic));
+        }
+        this.mqttQueue.push({ topic, payload, options });
+        if (this.mqttQueue.length > MQTT_QUEUE_LIMIT) {
+            this.mqttQueue.shift();
+        }
+        this.updateMqttStatus(this.mqttClient ? 'offline' : 'off');
+    }
+
+    flushMqttQueue() {
+        const queued = this.mqttQueue;
+        this.mqttQueue = [];
+        for (const message of queued) {
+            this.mqttClient.publish(message.topic, message.payload, message.options);
+        }
+    }
+
+    updateMqttStatus(status, detail = '') {
+        const element = document.getElementById('mqtt-status');
+        const labels = { off: 'OFF', connecting: 'CONNECTING', online: 'ONLINE', offline: 'OFFLINE', error: 'ERROR' };
+        const queued = this.mqttQueue.length > 0 ? ` (${this.mqttQueue.length} queued)` : '';
+
+        element.textContent = `${labels[status]}${queued}`;
+        element.className = `stat-value mqtt-${status}`;
+        element.title = detail;
+    }
+
+    // Rules engine
+    async loadRules() {
+        const transaction = this.db.transaction(['rules'], 'readonly');
+        const request = transaction.objectStore('rules').getAll();
+
+        this.rules = await new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveRule(rule) {
+        try {
+            const transaction = this.db.transaction(['rules'], 'readwrite');
+            const request = transaction.objectStore('rules').put(rule);
+
+            rule.id = await new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Failed to save rule:', error);
+        }
+    }
+
+    async deleteRule(ruleId) {
+        try {
+            const transaction = this.db.transaction(['rules'], 'readwrite');
+            const done = this.waitForTransaction(transaction);
+            transaction.objectStore('rules').delete(ruleId);
+            await done;
+        } catch (error) {
+            console.error('Failed to delete rule:', error);
+            this.showNotification('Could not delete rule', 'error');
+            return;
+        }
+        this.rules = this.rules.filter(rule => rule.id !== ruleId);
+        this.ruleState.delete(ruleId);
+        this.updateRulesDisplay();
+    }
+
+    startRuleTimer() {
+        // Duration and dwell triggers must fire even when no frame is being processed
+        clearInterval(this.ruleTimer);
+        this.ruleTimer = setInterval(() => this.evaluateRules(), 1000);
+    }
+
+    getRuleState(rule) {
+        if (!this.ruleState.has(rule.id)) {
+            this.ruleState.set(rule.id, { since: null, fired: false, lastFiredAt: 0, firedFor: new Set() });
+        }
+        return this.ruleState.get(rule.id);
+    }
+
+    isWithinRuleWindow(rule, timestamp) {
+        if (!rule.windowFrom || !rule.windowTo) return true;
+        return this.isWithinTimeWindow(rule.windowFrom, rule.windowTo, timestamp);
+    }
+
+    isWithinTimeWindow(windowFrom, windowTo, timestamp) {
+        const date = new Date(timestamp);
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const [fromHours, fromMinutes] = windowFrom.split(':').map(Number);
+        const [toHours, toMinutes] = windowTo.split(':').map(Number);
+        const from = fromHours * 60 + fromMinutes;
+        const to = toHours * 60 + toMinutes;
+
+        // Windows like 22:00 - 06:00 wrap around midnight
+        return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+    }
+
+    compareCount(count, operator, value) {
+        switch (operator) {
+            case '>': return count > value;
+            case '>=': return count >= value;
+            case '<': return count < value;
+            case '<=': return count <= value;
+            default: return count === value;
+        }
+    }
+
+    evaluateRules() {
+        const now = this.getCurrentTimestamp();
+
+        for (const rule of this.rules) {
+            if (!rule.enabled) continue;
+            const state = this.getRuleState(rule);
+
+            if (rule.trigger === 'occupancy') {
+                const holds = this.isWithinRuleWindow(rule, now) &&
+                    this.compareCount(this.stats.currentInRoom, rule.operator, rule.value);
+
+                if (!holds) {
+                    state.since = null;
+                    state.fired = false;
+                    continue;
+                }
+
+                // Fire once per stretch, after the condition has held for the required duration
+                if (state.since === null) state.since = now;
+                if (!state.fired && now - state.since >= rule.durationSeconds * 1000) {
+                    state.fired = true;
+                    this.fireRule(rule, {});
+                }
+            } else if (rule.trigger === 'dwell') {
+                if (!this.isWithinRuleWindow(rule, now)) continue;
+
+                const people = this.getAllTrackedPeople();
+                for (const [localId, person] of people) {
+                    if (state.firedFor.has(localId)) continue;
+                    if (now - person.firstSeenTimestamp >= rule.durationSeconds * 1000) {
+                        state.firedFor.add(localId);
+                        this.fireRule(rule, { localId });
+                    }
+                }
+                // Forget people who have left so the set does not grow forever
+                for (const localId of state.firedFor) {
+                    if (!people.some(([id]) => id === localId)) state.firedFor.delete(localId);
+                }
+            }
+        }
+    }
+
+    evaluateEventRules(event) {
+        for (const rule of this.rules) {
+            if (!rule.enabled || rule.trigger !== 'event' || rule.eventType !== event.eventType) continue;
+            if (!this.isWithinRuleWindow(rule, event.timestamp)) continue;
+
+            // Optional occupancy condition, e.g. "an ENTRY while more than 4 people are inside"
+            if (rule.value !== null && !this.compareCount(this.stats.currentInRoom, rule.operator, rule.value)) continue;
+
+            const state = this.getRuleState(rule);
+            if (Date.now() - state.lastFiredAt < rule.cooldownSeconds * 1000) continue;
+
+            this.fireRule(rule, { localId: event.localId });
+        }
+    }
+
+    fireRule(rule, { localId = null }) {
+        const state = this.getRuleState(rule);
+        state.lastFiredAt = Date.now();
+
+        const message = (rule.message || rule.name)
+            .replace(/\{count\}/g, this.stats.currentInRoom)
+            .replace(/\{id\}/g, localId ?? '')
+            .replace(/\{rule\}/g, rule.name);
+
+        for (const action of rule.actions) {
+            try {
+                this.runRuleAction(action, rule, message, localId);
+            } catch (error) {
+                console.error(`Rule "${rule.name}" action ${action} failed:`, error);
+            }
+        }
+    }
+
+    runRuleAction(action, rule, message, localId) {
+        switch (action) {
+            case 'sound':
+                if (!this.isMuted && this.audioContext) {
+                    // Oscillators only play once, so build a fresh tone each time
+                    this.createTone(1000, 0.6, 'square').play();
+                }
+                break;
+            case 'speech':
+                // Rules carry their own time window, so they speak through quiet hours
+                this.addToAnnouncementQueue(message, { kind: 'rule', ignoreQuietHours: true });
+                break;
+            case 'notification':
+                this.showNotification(message, 'warning');
+                if ('Notification' in window && Notification.permission === 'granted') {
+                    new Notification('SmartRoom Vision', { body: message });
+                }
+                break;
+            case 'banner':
+                this.showAlertBanner(message);
+                break;
+            case 'screenshot':
+                if (this.video.videoWidth) {
+                    this.takeScreenshot();
+                }
+                break;
+            case 'event':
+                this.logEvent(this.createEvent(rule.customEventType || 'ALERT', localId, {
+                    ruleId: rule.id,
+                    ruleName: rule.name,
+                    message
+                }));
+                break;
+        }
+    }
+
+    showAlertBanner(message) {
+        const banner = document.getElementById('alert-banner');
+        document.getElementById('alert-banner-text').textContent = `${new Date().toLocaleTimeString()} — ${message}`;
+        banner.classList.remove('hidden');
+    }
+
+    hideAlertBanner() {
+        document.getElementById('alert-banner').classList.add('hidden');
+    }
+
+    async addRuleFromForm() {
+        const name = document.getElementById('rule-name').value.trim();
+        const trigger = document.getElementById('rule-trigger').value;
+        const valueInput = document.getElementById('rule-value').value;
+        const actions = RULE_ACTIONS.filter(action => document.getElementById(`rule-action-${action}`).checked);
+
+        if (!name) {
+            this.showNotification('Give the rule a name', 'warning');
+            return;
+        }
+        if (actions.length === 0) {
+            this.showNotification('Pick at least one action', 'warning');
+            return;
+        }
+        if (trigger === 'occupancy' && valueInput === '') {
+            this.showNotification('Occupancy rules need a count to compare against', 'warning');
+            return;
+        }
+
+        const rule = {
+            name,
+            enabled: true,
+            trigger, // 'occupancy', 'event' or 'dwell'
+            operator: document.getElementById('rule-operator').value,
+            value: valueInput === '' ? null : parseInt(valueInput),
+            eventType: document.getElementById('rule-event-type').value,
+            durationSeconds: Math.max(0, parseFloat(document.getElementById('rule-duration').value) || 0),
+            windowFrom: document.getElementById('rule-window-from').value,
+            windowTo: document.getElementById('rule-window-to').value,
+            cooldownSeconds: Math.max(0, parseInt(document.getElementById('rule-cooldown').value) || 0),
+            actions,
+            message: document.getElementById('rule-message').value.trim(),
+            customEventType: document.getElementById('rule-custom-event').value.trim().toUpperCase() || 'ALERT'
+        };
+
+        await this.saveRule(rule);
+        this.rules.push(rule);
+        this.updateRulesDisplay();
+        document.getElementById('rule-name').value = '';
+        this.showNotification(`Rule "${name}" added`, 'success');
+
+        if (actions.includes('notification') && 'Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+    }
+
+    async toggleRule(rule, enabled) {
+        rule.enabled = enabled;
+        this.ruleState.delete(rule.id);
+        await this.saveRule(rule);
+    }
+
+    describeRule(rule) {
+        const timeWindow = rule.windowFrom && rule.windowTo ? ` between ${rule.windowFrom} and ${rule.windowTo}` : '';
+        let condition;
+        if (rule.trigger === 'occupancy') {
+            const held = rule.durationSeconds > 0 ? ` for ${this.formatDuration(rule.durationSeconds * 1000)}` : '';
+            condition = `occupancy ${rule.operator} ${rule.value}${held}`;
+        } else if (rule.trigger === 'event') {
+            const count = rule.value !== null ? ` while occupancy ${rule.operator} ${rule.value}` : '';
+            condition = `${rule.eventType}${count}`;
+        } else {
+            condition = `someone stays longer than ${this.formatDuration(rule.durationSeconds * 1000)}`;
+        }
+        return `If ${condition}${timeWindow} → ${rule.actions.join(', ')}`;
+    }
+
+    updateRulesDisplay() {
+        const list = document.getElementById('rule-list');
+
+        if (this.rules.length === 0) {
+            list.innerHTML = '<div class="no-rules">No rules yet</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        for (const rule of this.rules) {
+            const item = document.createElement('div');
+            item.className = 'rule-item';
+
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = rule.enabled;
+            toggle.title = 'Enabled';
+            toggle.addEventListener('change', () => this.toggleRule(rule, toggle.checked));
+
+            const text = document.createElement('div');
+            text.className = 'rule-text';
+            const name = document.createElement('strong');
+            name.textContent = rule.name;
+            const summary = document.createElement('div');
+            summary.className = 'rule-summary';
+            summary.textContent = this.describeRule(rule);
+            text.appendChild(name);
+            text.appendChild(summary);
+
+            const remove = document.createElement('button');
+            remove.className = 'btn-small';
+            remove.textContent = 'Delete';
+            remove.addEventListener('click', () => this.deleteRule(rule.id));
+
+            item.appendChild(toggle);
+            item.appendChild(text);
+            item.appendChild(remove);
+            list.appendChild(item);
+        }
+    }
+
+    // Heatmap
+    async loadHeatmap(date) {
+        const heatmap = { date, cells: new Float32Array(HEATMAP_COLS * HEATMAP_ROWS) };
+
+        try {
+            const transaction = this.db.transaction(['heatmaps'], 'readonly');
+            const request = transaction.objectStore('heatmaps').get(date);
+
+            await new Promise((resolve, reject) => {
+                request.onerror = () => reject(request.error);
+                request.onsuccess = () => {
+                    if (request.result && request.result.cells.length === heatmap.cells.length) {
+                        heatmap.cells = Float32Array.from(request.result.cells);
+                    }
+                    resolve();
+                };
+            });
+            this.heatmap = heatmap;
+        } catch (error) {
+            // Accumulating into an empty grid would overwrite the stored day on the next save
+            console.error('Failed to load heatmap:', error);
+            this.heatmap = null;
+        }
+        this.heatmapDirty = false;
+        this.lastHeatmapSave = null;
+    }
+
+    async switchHeatmapDay(date) {
+        // Write out the day we are leaving, then continue the stored grid of the new one
+        await this.saveHeatmap();
+        await this.loadHeatmap(date);
+    }
+
+    async saveHeatmap() {
+        if (!this.heatmap || !this.heatmapDirty) return;
+        this.heatmapDirty = false;
+
+        try {
+            const transaction = this.db.transaction(['heatmaps'], 'readwrite');
+            transaction.objectStore('heatmaps').put({
+                date: this.heatmap.date,
+                cols: HEATMAP_COLS,
+                rows: HEATMAP_ROWS,
+                cells: this.heatmap.cells
+            });
+        } catch (error) {
+            console.error('Failed to save heatmap:', error);
+        }
+    }
+
+    accumulateHeatmap(currentTime, dt) {
+        if (!this.heatmap || this.heatmapSwitch || dt <= 0) return;
+
+        // Each day has its own grid (midnight, or a recorded file from another day); frames seen while
+        // the other day's grid loads are not accumulated
+        const date = this.toDateInputValue(new Date(currentTime));
+        if (date !== this.heatmap.date) {
+            this.heatmapSwitch = this.switchHeatmapDay(date).finally(() => {
+                this.heatmapSwitch = null;
+            });
+            return;
+        }
+
+        // Weight by elapsed time so the map shows where people spend time, not how often frames ran
+        const weight = Math.min(dt, 1);
+        const kernel = [[1, 2, 1], [2, 4, 2], [1, 2, 1]];
+
+        for (const person of this.trackedPeople.values()) {
+            if (person.state !== 'confirmed' || person.misses > 0) continue;
+
+            const [footX, footY] = this.getFootPoint(person.bbox);
+            const col = Math.floor((footX / this.canvas.width) * HEATMAP_COLS);
+            const row = Math.floor((footY / this.canvas.height) * HEATMAP_ROWS);
+
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const c = col + dx;
+                    const r = row + dy;
+                    if (c < 0 || c >= HEATMAP_COLS || r < 0 || r >= HEATMAP_ROWS) continue;
+                    this.heatmap.cells[r * HEATMAP_COLS + c] += weight * kernel[dy + 1][dx + 1] / 16;
+                }
+            }
+            this.heatmapDirty = true;
+        }
+
+        // Persist at most every 30 seconds
+        if (this.heatmapDirty && (!this.lastHeatmapSave || currentTime - this.lastHeatmapSave > 30000)) {
+            this.lastHeatmapSave = currentTime;
+            this.saveHeatmap();
+        }
+    }
+
+    renderHeatmapLayer() {
+        // Paint the grid into a small canvas; callers scale it up with smoothing
+        const ctx = this.heatmapCanvas.getContext('2d');
+        const image = ctx.createImageData(HEATMAP_COLS, HEATMAP_ROWS);
+        const cells = this.heatmap ? this.heatmap.cells : new Float32Array(HEATMAP_COLS * HEATMAP_ROWS);
+        const max = cells.reduce((a, b) => Math.max(a, b), 0);
+
+        for (let i = 0; i < cells.length; i++) {
+            const t = max > 0 ? cells[i] / max : 0;
+            if (t < 0.02) continue;
+
+            // Blue (cold) to red (hot)
+            const hue = (1 - t) * 240;
+            const [r, g, b] = this.hslToRgb(hue / 360, 1, 0.5);
+            image.data[i * 4] = r;
+            image.data[i * 4 + 1] = g;
+            image.data[i * 4 + 2] = b;
+            image.data[i * 4 + 3] = Math.round(Math.min(0.75, 0.2 + t * 0.6) * 255);
+        }
+
+        ctx.putImageData(image, 0, 0);
+        return this.heatmapCanvas;
+    }
+
+    hslToRgb(h, s, l) {
+        const hueToChannel = (p, q, t) => {
+            if (t < 0) t += 1;
+            if (t > 1) t -= 1;
+            if (t < 1 / 6) return p + (q - p) * 6 * t;
+            if (t < 1 / 2) return q;
+            if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+            return p;
+        };
+        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+        const p = 2 * l - q;
+        return [hueToChannel(p, q, h + 1 / 3), hueToChannel(p, q, h), hueToChannel(p, q, h - 1 / 3)]
+            .map(channel => Math.round(channel * 255));
+    }
+
+    drawHeatmap(ctx, width, height) {
+        ctx.save();
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(this.renderHeatmapLayer(), 0, 0, width, height);
+        ctx.restore();
+    }
+
+    toggleHeatmap() {
+        this.showHeatmap = !this.showHeatmap;
+        document.getElementById('heatmap-toggle').textContent = this.showHeatmap ? 'Hide' : 'Show';
+        this.drawOverlay();
+    }
+
+    async resetHeatmap() {
+        if (!confirm('Reset today\'s foot-traffic heatmap?')) return;
+
+        this.heatmap = { date: this.toDateInputValue(new Date(this.getCurrentTimestamp())), cells: new Float32Array(HEATMAP_COLS * HEATMAP_ROWS) };
+        this.heatmapDirty = true;
+        await this.saveHeatmap();
+        this.drawOverlay();
+        this.showNotification('Heatmap reset', 'success');
+    }
+
+    exportHeatmap() {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        canvas.width = this.video.videoWidth || this.canvas.width;
+        canvas.height = this.video.videoHeight || this.canvas.height;
+
+        // Reference frame from the camera, or a plain background without one
+        if (this.video.videoWidth) {
+            ctx.drawImage(this.video, 0, 0);
+        } else {
+            ctx.fillStyle = '#1a1a1a';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        this.drawHeatmap(ctx, canvas.width, canvas.height);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(10, 10, 360, 40);
+        ctx.fillStyle = '#00ffff';
+        ctx.font = '20px Arial';
+        ctx.fillText(`SmartRoom Vision heatmap - ${this.heatmap ? this.heatmap.date : ''}`, 20, 37);
+
+        canvas.toBlob((blob) => {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `smartroom-heatmap-${this.heatmap ? this.heatmap.date : Date.now()}.png`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        });
+    }
+
+    // Zones
+    updateZones() {
+        const zones = this.getCameraZones();
+        if (zones.length === 0) return;
+
+        for (const person of this.trackedPeople.values()) {
+            // Only people observed in this frame can move between zones
+            if (person.state !== 'confirmed' || person.misses > 0) continue;
+
+            const [footX, footY] = this.getFootPoint(person.bbox);
+            const footPoint = [footX / this.canvas.width, footY / this.canvas.height];
+            person.zoneEntries = person.zoneEntries || new Map();
+
+            for (const zone of zones) {
+                const inside = pointInPolygon(footPoint, zone.points);
+                const wasInside = person.zoneEntries.has(zone.id);
+
+                if (inside && !wasInside) {
+                    person.zoneEntries.set(zone.id, person.lastSeenTimestamp);
+                    this.logEvent(this.createEvent('ZONE_ENTER', person.localId, {
+                        zoneId: zone.id,
+                        zoneName: zone.name
+                    }));
+                } else if (!inside && wasInside) {
+                    this.leaveZone(person, zone);
+                }
+            }
+        }
+
+        this.updateZonesDisplay();
+    }
+
+    leaveZone(person, zone) {
+        const enteredAt = person.zoneEntries.get(zone.id);
+        const dwellMs = Math.max(0, person.lastSeenTimestamp - enteredAt);
+        person.zoneEntries.delete(zone.id);
+
+        person.zoneDwell = person.zoneDwell || {};
+        person.zoneDwell[zone.id] = (person.zoneDwell[zone.id] || 0) + dwellMs;
+
+        this.logEvent(this.createEvent('ZONE_EXIT', person.localId, {
+            zoneId: zone.id,
+            zoneName: zone.name,
+            dwellMs
+        }));
+    }
+
+    leaveAllZones(person) {
+        if (!person.zoneEntries || person.zoneEntries.size === 0) return;
+
+        for (const zone of this.settings.zones) {
+            if (person.zoneEntries.has(zone.id)) {
+                this.leaveZone(person, zone);
+            }
+        }
+        this.updateZonesDisplay();
+    }
+
+    getZoneOccupants(zone) {
+        // Zones belong to one camera, and only its people can be inside
+        const pipeline = this.cameraPipelines.get(zone.cameraId || 'main');
+        if (!pipeline) return [];
+        return Array.from(pipeline.trackedPeople.values()).filter(person =>
+            person.zoneEntries && person.zoneEntries.has(zone.id)
+        );
+    }
+
+    updateZonesDisplay() {
+        const list = document.getElementById('zone-list');
+
+        if (this.settings.zones.length === 0) {
+            list.innerHTML = '<div class="no-zones">No zones defined</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        const now = this.getCurrentTimestamp();
+
+        for (const zone of this.settings.zones) {
+            const occupants = this.getZoneOccupants(zone);
+
+            const item = document.createElement('div');
+            item.className = 'zone-item';
+            item.style.borderLeftColor = zone.color;
+
+            const header = document.createElement('div');
+            header.className = 'zone-header';
+
+            const name = document.createElement('span');
+            name.className = 'zone-name';
+            const camera = this.cameraPipelines.get(zone.cameraId || 'main');
+            name.textContent = this.cameraPipelines.size > 1 && camera ? `${zone.name} · ${camera.name}` : zone.name;
+
+            const count = document.createElement('span');
+            count.className = 'zone-count';
+            count.textContent = occupants.length;
+
+            header.appendChild(name);
+            header.appendChild(count);
+            item.appendChild(header);
+
+            for (const person of occupants) {
+                const occupant = document.createElement('div');
+                occupant.className = 'zone-occupant';
+                const dwellMs = now - person.zoneEntries.get(zone.id) + ((person.zoneDwell && person.zoneDwell[zone.id]) || 0);
+                occupant.textContent = `ID ${person.localId} · ${this.formatDuration(dwellMs)}`;
+                item.appendChild(occupant);
+            }
+
+            list.appendChild(item);
+        }
+    }
+
+    formatDuration(ms) {
+        const totalSeconds = Math.max(0, Math.round(ms / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        if (minutes > 0) return `${minutes}m ${seconds}s`;
+        return `${seconds}s`;
+    }
+
+    getFootPoint(bbox) {
+        const [x, y, width, height] = bbox;
+        return [x + width / 2, y + height];
+    }
+
+    getTripwirePoints(line) {
+        return [
+            [line.x1 * this.canvas.width, line.y1 * this.canvas.height],
+            [line.x2 * this.canvas.width, line.y2 * this.canvas.height]
+        ];
+    }
+
+    updateLineCrossings() {
+        for (const track of this.tracks) {
+            // Coasting tracks have no new observation to cross with
+            if (track.misses > 0) continue;
+
+            const footPoint = this.getFootPoint(track.bbox);
+            const previousFootPoint = track.footPoint;
+            track.footPoint = footPoint;
+            if (!previousFootPoint) continue;
+
+            for (const line of this.getCameraTripwires()) {
+                const [a, b] = this.getTripwirePoints(line);
+                if (!segmentsIntersect(previousFootPoint, footPoint, a, b)) continue;
+
+                const enteredInside = Math.sign(crossProduct(a, b, footPoint)) === line.insideSign;
+                track.pendingCrossings = track.pendingCrossings || [];
+                track.pendingCrossings.push({ line, enteredInside, bbox: track.bbox });
+            }
+
+            // Crossings by tentative tracks are held until the track is confirmed
+            if (track.localId !== null && track.pendingCrossings) {
+                for (const crossing of track.pendingCrossings) {
+                    this.handleLineCrossing(track, crossing);
+                }
+                track.pendingCrossings = null;
+            }
+        }
+    }
+
+    handleLineCrossing(person, { line, enteredInside, bbox }) {
+        // Ignore repeated crossings in the same direction, e.g. jitter on the line
+        if (person.insideRoom === enteredInside) return;
+        person.insideRoom = enteredInside;
+
+        const details = { lineId: line.id, lineName: line.name };
+        if (enteredInside) {
+            this.handleEntry(person.localId, bbox, details, this.activePipeline);
+        } else {
+            this.handleExit(person.localId, details, this.activePipeline);
+        }
+    }
+
+    markTrackMissed(track) {
+        track.misses++;
+
+        if (track.state === 'tentative') {
+            // Tentative tracks need consecutive hits; a single miss discards them silently
+            track.state = 'deleted';
+        } else if (track.state === 'confirmed') {
+            track.state = 'lost';
+            track.kalman.stopMotion();
+        }
+    }
+
+    calculateIoU(bbox1, bbox2) {
+        const [x1, y1, w1, h1] = bbox1;
+        const [x2, y2, w2, h2] = bbox2;
+
+        const xOverlap = Math.max(0, Math.min(x1 + w1, x2 + w2) - Math.max(x1, x2));
+        const yOverlap = Math.max(0, Math.min(y1 + h1, y2 + h2) - Math.max(y1, y2));
+
+        const intersection = xOverlap * yOverlap;
+        const union = w1 * h1 + w2 * h2 - intersection;
+
+        return union === 0 ? 0 : intersection / union;
+    }
+
+    async handleEntry(localId, bbox, details = {}, pipeline = this.mainPipeline) {
+        // Stamp before any await so recorded-file events keep the media time of their frame
+        const event = this.createEvent('ENTRY', localId, details, pipeline);
+
+        // A session is one stretch of the room being occupied
+        if (this.stats.currentInRoom === 0) {
+            this.stats.totalSessions++;
+        }
+        this.stats.totalEntered++;
+        this.stats.currentInRoom++;
+        this.stats.peakOccupancy = Math.max(this.stats.peakOccupancy, this.stats.currentInRoom);
+        const occupancy = this.stats.currentInRoom;
+
+        // Capture and store photo
+        await this.capturePersonPhoto(localId, bbox, pipeline);
+
+        // Add event to log
+        await this.logEvent(event);
+
+        // Update UI
+        this.updateStatsDisplay();
+
+        this.announcePerson('entry', localId, occupancy, event);
+
+        if (this.entrySound && !this.isMuted) {
+            this.entrySound.play();
+        }
+
+        this.showNotification(`Person ${localId} entered the room`, 'success');
+    }
+
+    async handleExit(localId, details = {}, pipeline = this.mainPipeline) {
+        this.stats.totalLeft++;
+        this.stats.currentInRoom = Math.max(0, this.stats.currentInRoom - 1);
+        const occupancy = this.stats.currentInRoom;
+
+        // Add event to log
+        const event = this.createEvent('EXIT', localId, details, pipeline);
+        await this.logEvent(event);
+
+        // Update UI
+        this.updateStatsDisplay();
+        this.updateCurrentPeopleDisplay();
+
+        this.announcePerson('exit', localId, occupancy, event);
+
+        if (this.exitSound && !this.isMuted) {
+            this.exitSound.play();
+        }
+
+        this.showNotification(`Person ${localId} left the room`, 'warning');
+    }
+
+    async capturePersonPhoto(localId, bbox, pipeline = this.mainPipeline) {
+        const video = pipeline.video;
+
+        // Replay runs have no camera frame to crop from
+        if (!video.videoWidth) {
+            this.createMockPhoto(localId);
+            return;
+        }
+
+        try {
+            const [x, y, width, height] = bbox;
+            const capturedAt = this.getCurrentTimestamp(pipeline);
+
+            // Create a canvas for the cropped image
+            const cropCanvas = document.createElement('canvas');
+            const cropCtx = cropCanvas.getContext('2d');
+
+            // Set dimensions for the cropped image (160x160)
+            cropCanvas.width = 160;
+            cropCanvas.height = 160;
+
+            // Calculate crop area (add some padding)
+            const padding = 20;
+            const cropX = Math.max(0, x - padding);
+            const cropY = Math.max(0, y - padding);
+            const cropWidth = Math.min(video.videoWidth - cropX, width + padding * 2);
+            const cropHeight = Math.min(video.videoHeight - cropY, height + padding * 2);
+
+            // Draw the cropped area
+            cropCtx.drawImage(
+                video,
+                cropX, cropY, cropWidth, cropHeight,
+                0, 0, 160, 160
+            );
+
+            // Apply face blur if enabled
+            if (this.settings.faceBlur) {
+                const toCrop = ([hx, hy, hw, hh]) => [
+                    (hx - cropX) * 160 / cropWidth,
+                    (hy - cropY) * 160 / cropHeight,
+                    hw * 160 / cropWidth,
+                    hh * 160 / cropHeight
+                ];
+                const person = pipeline.trackedPeople.get(localId);
+                const fallbackRegion = toCrop(this.estimateHeadRegion(bbox, person?.keypoints));
+                await this.applyFaceBlur(cropCanvas, cropCtx, fallbackRegion);
+            }
+
+            // Store in memory and database
+            const imageData = {
+                localId,
+                firstSeenTimestamp: capturedAt,
+                blob: await this.canvasToBlob(cropCanvas)
+            };
+
+            this.rememberImage(imageData);
+            await this.saveImage(imageData);
+            if (this.storedImages.size > this.settings.maxStorageItems) {
+                this.enforceRetention();
+            }
+
+            // Update admin UI if open
+            this.updateStoredImagesDisplay();
+
+        } catch (error) {
+            console.error('Failed to capture person photo:', error);
+        }
+    }
+
+    async applyFaceBlur(canvas, ctx, fallbackRegion) {
+        // Prefer real face boxes; fall back to the head region from keypoints or box proportions
+        let regions = [];
+        const faceModel = await this.loadFaceModel();
+        if (faceModel) {
+            try {
+                const faces = await faceModel.estimateFaces(canvas, false);
+                regions = faces.map(face => {
+                    const [x1, y1] = face.topLeft;
+                    const [x2, y2] = face.bottomRight;
+                    // Face boxes stop at the brows and chin; grow them to cover the whole head
+                    const padX = (x2 - x1) * 0.3;
+                    const padY = (y2 - y1) * 0.4;
+                    return [x1 - padX, y1 - padY, x2 - x1 + padX * 2, y2 - y1 + padY * 2];
+                });
+            } catch (error) {
+                console.warn('Face detection failed, using head estimate:', error);
+            }
+        }
+        if (regions.length === 0 && fallbackRegion) {
+            regions = [fallbackRegion];
+        }
+
+        for (const region of regions) {
+            this.blurRegion(ctx, region, this.settings.faceBlurStyle);
+        }
+    }
+
+    loadFaceModel() {
+        if (this.faceModel || typeof blazeface === 'undefined') {
+            return Promise.resolve(this.faceModel);
+        }
+        if (!this.faceModelLoading) {
+            this.faceModelLoading = blazeface.load()
+                .then(model => {
+                    this.faceModel = model;
+                    return model;
+                })
+                .catch(error => {
+                    console.warn('Face model unavailable:', error);
+                    return null;
+                });
+        }
+        return this.faceModelLoading;
+    }
+
+    estimateHeadRegion(bbox, keypoints) {
+        const [x, y, width, height] = bbox;
+        const head = (keypoints || []).filter(keypoint => HEAD_KEYPOINTS.includes(keypoint.name) && keypoint.score > 0.3);
+
+        if (head.length >= 2) {
+            const xs = head.map(keypoint => keypoint.x);
+            const ys = head.map(keypoint => keypoint.y);
+            const centerX = (Math.min(...xs) + Math.max(...xs)) / 2;
+            const centerY = (Math.min(...ys) + Math.max(...ys)) / 2;
+            const headWidth = Math.max((Math.max(...xs) - Math.min(...xs)) * 1.8, width * 0.3);
+            const headHeight = headWidth * 1.3;
+            return [centerX - headWidth / 2, centerY - headHeight * 0.55, headWidth, headHeight];
+        }
+
+        // No keypoints: the head is roughly the top fifth of a standing person, centered
+        const headWidth = width * 0.5;
+        return [x + (width - headWidth) / 2, y, headWidth, Math.min(height * 0.22, headWidth * 1.4)];
+    }
+
+    blurRegion(ctx, region, style) {
+        const canvas = ctx.canvas;
+        const x = Math.max(0, Math.floor(region[0]));
+        const y = Math.max(0, Math.floor(region[1]));
+        const width = Math.min(canvas.width, Math.ceil(region[0] + region[2])) - x;
+        const height = Math.min(canvas.height, Math.ceil(region[1] + region[3])) - y;
+        if (width < 2 || height < 2) return;
+
+        const scratch = this.blurScratchCanvas;
+        const scratchCtx = scratch.getContext('2d');
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+        ctx.clip();
+
+        if (style === 'gaussian' && 'filter' in ctx) {
+            // Blur a padded copy so the edges do not pull in transparent pixels
+            const radius = Math.max(4, Math.round(Math.max(width, height) / 6));
+            const pad = radius * 2;
+            const sx = Math.max(0, x - pad);
+            const sy = Math.max(0, y - pad);
+            const sw = Math.min(canvas.width, x + width + pad) - sx;
+            const sh = Math.min(canvas.height, y + height + pad) - sy;
+            scratch.width = sw;
+            scratch.height = sh;
+            scratchCtx.drawImage(canvas, sx, sy, sw, sh, 0, 0, sw, sh);
+            ctx.filter = `blur(${radius}px)`;
+            ctx.drawImage(scratch, sx, sy);
+        } else {
+            // Pixelate: shrink to roughly 8 blocks across and scale back up without smoothing
+            const blocksX = Math.max(2, Math.min(8, Math.round(width / 4)));
+            const blocksY = Math.max(2, Math.round(blocksX * height / width));
+            scratch.width = blocksX;
+            scratch.height = blocksY;
+            scratchCtx.drawImage(canvas, x, y, width, height, 0, 0, blocksX, blocksY);
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(scratch, 0, 0, blocksX, blocksY, x, y, width, height);
+        }
+
+        ctx.restore();
+    }
+
+    // Composited display: drawn instead of the raw video when privacy mode or a background effect is on
+    updateDisplayMode() {
+        const active = this.settings.privacyMode || this.settings.backgroundEnabled;
+        document.querySelector('.video-container').classList.toggle('composited', active);
+        this.displayCanvas.classList.toggle('hidden', !active);
+
+        const privacyBtn = document.getElementById('privacy-btn');
+        privacyBtn.classList.toggle('active', this.settings.privacyMode);
+        privacyBtn.querySelector('.btn-text').textContent = this.settings.privacyMode ? 'Privacy On' : 'Privacy Mode';
+
+        const backgroundBtn = document.getElementById('background-btn');
+        backgroundBtn.classList.toggle('active', this.settings.backgroundEnabled);
+        backgroundBtn.querySelector('.btn-text').textContent = this.settings.backgroundEnabled ? 'Background On' : 'Background';
+
+        if (this.settings.backgroundEnabled) {
+            this.loadSegmenter();
+        } else {
+            this.hasSegmentationMask = false;
+        }
+
+        if (active && !this.displayFrame) {
+            this.renderDisplayFrame();
+        } else if (!active && this.displayFrame) {
+            cancelAnimationFrame(this.displayFrame);
+            this.displayFrame = null;
+        }
+    }
+
+    renderDisplayFrame() {
+        if (this.video.videoWidth) {
+            if (this.settings.backgroundEnabled) {
+                this.updateSegmentation();
+            }
+            this.composeFrame(this.displayCtx, this.displayCanvas);
+        }
+        this.displayFrame = requestAnimationFrame(() => this.renderDisplayFrame());
+    }
+
+    composeFrame(ctx, canvas) {
+        if (canvas.width !== this.video.videoWidth || canvas.height !== this.video.videoHeight) {
+            canvas.width = this.video.videoWidth;
+            canvas.height = this.video.videoHeight;
+        }
+        if (this.settings.backgroundEnabled && this.hasSegmentationMask) {
+            this.drawSegmentedFrame(ctx, canvas);
+        } else {
+            ctx.drawImage(this.video, 0, 0, canvas.width, canvas.height);
+        }
+
+        if (this.settings.privacyMode) {
+            // Pad the head estimate: boxes only move when a detection arrives
+            for (const track of this.tracks) {
+                const [hx, hy, hw, hh] = this.estimateHeadRegion(track.predictedBbox || track.bbox, track.keypoints);
+                this.blurRegion(ctx, [hx - hw * 0.15, hy - hh * 0.15, hw * 1.3, hh * 1.3], this.settings.faceBlurStyle);
+            }
+        }
+    }
+
+    loadSegmenter() {
+        if (this.segmenter || typeof bodySegmentation === 'undefined') {
+            return Promise.resolve(this.segmenter);
+        }
+        if (!this.segmenterLoading) {
+            this.segmenterLoading = bodySegmentation.createSegmenter(
+                bodySegmentation.SupportedModels.MediaPipeSelfieSegmentation,
+                { runtime: 'tfjs', modelType: 'general' }
+            )
+                .then(segmenter => {
+                    this.segmenter = segmenter;
+                    return segmenter;
+                })
+                .catch(error => {
+                    console.error('Segmentation model unavailable:', error);
+                    this.showNotification('Background effects unavailable: segmentation model failed to load', 'error');
+                    this.segmenterLoading = null;
+                    return null;
+                });
+        }
+        return this.segmenterLoading;
+    }
+
+    async updateSegmentation() {
+        // One segmentation in flight at a time; the display reuses the last mask in between.
+        // It shares the page's TF.js backend (WebGL on most machines) with a detector that is not in
+        // the worker, so it runs less often than detection and never while a frame is being detected.
+        const now = Date.now();
+        const interval = Math.max(this.settings.segmentationIntervalMs, this.settings.detectionThrottleMs * SEGMENTATION_CADENCE);
+        const detectorBusy = this.detectionsInFlight > 0 && !(this.detector instanceof WorkerDetector);
+        if (!this.segmenter || this.isSegmenting || detectorBusy || now - this.lastSegmentationTime < interval) {
+            return;
+        }
+        this.isSegmenting = true;
+        this.lastSegmentationTime = now;
+
+        try {
+            const people = await this.segmenter.segmentPeople(this.video);
+            const mask = await bodySegmentation.toBinaryMask(
+                people,
+                { r: 0, g: 0, b: 0, a: 255 }, // person pixels opaque
+                { r: 0, g: 0, b: 0, a: 0 }
+            );
+
+            if (this.segmentationMask.width !== mask.width || this.segmentationMask.height !== mask.height) {
+                this.segmentationMask.width = mask.width;
+                this.segmentationMask.height = mask.height;
+            }
+            this.segmentationMask.getContext('2d').putImageData(mask, 0, 0);
+            this.hasSegmentationMask = true;
+        } catch (error) {
+            console.error('Segmentation failed:', error);
+        } finally {
+            this.isSegmenting = false;
+        }
+    }
+
+    drawSegmentedFrame(ctx, canvas) {
+        const { width, height } = canvas;
+        const layer = this.segmentLayerCanvas;
+        const layerCtx = layer.getContext('2d');
+        layer.width = width;
+        layer.height = height;
+
+        if (this.settings.backgroundEffect === 'inverse') {
+            this.updateCleanPlate(width, height);
+
+            // Paint the remembered empty room over wherever a person is
+            layerCtx.clearRect(0, 0, width, height);
+            layerCtx.drawImage(this.cleanPlateCanvas, 0, 0);
+            layerCtx.globalCompositeOperation = 'destination-in';
+            layerCtx.drawImage(this.segmentationMask, 0, 0, width, height);
+            layerCtx.globalCompositeOperation = 'source-over';
+
+            ctx.drawImage(this.video, 0, 0, width, height);
+            ctx.drawImage(layer, 0, 0);
+            return;
+        }
+
+        // Layer holding only the people (video masked to person pixels)
+        layerCtx.drawImage(this.video, 0, 0, width, height);
+        layerCtx.globalCompositeOperation = 'destination-in';
+        layerCtx.drawImage(this.segmentationMask, 0, 0, width, height);
+        layerCtx.globalCompositeOperation = 'source-over';
+
+        if (this.settings.backgroundEffect === 'replace') {
+            ctx.fillStyle = this.settings.backgroundColor;
+            ctx.fillRect(0, 0, width, height);
+        } else {
+            ctx.save();
+            ctx.filter = 'blur(12px)';
+            ctx.drawImage(this.video, 0, 0, width, height);
+            ctx.restore();
+        }
+        ctx.drawImage(layer, 0, 0);
+    }
+
+    updateCleanPlate(width, height) {
+        const plate = this.cleanPlateCanvas;
+        const plateCtx = plate.getContext('2d');
+
+        // Start from the current frame, then only refresh pixels where nobody is standing
+        if (plate.width !== width || plate.height !== height) {
+            plate.width = width;
+            plate.height = height;
+            plateCtx.drawImage(this.video, 0, 0, width, height);
+            return;
+        }
+
+        // The segment layer is free at this point, use it to cut the people out of the frame
+        const layerCtx = this.segmentLayerCanvas.getContext('2d');
+        layerCtx.clearRect(0, 0, width, height);
+        layerCtx.drawImage(this.video, 0, 0, width, height);
+        layerCtx.globalCompositeOperation = 'destination-out';
+        layerCtx.drawImage(this.segmentationMask, 0, 0, width, height);
+        layerCtx.globalCompositeOperation = 'source-over';
+        plateCtx.drawImage(this.segmentLayerCanvas, 0, 0);
+    }
+
+    validateMqttPayloads() {
+        // Fill the templates with sample values to catch broken JSON before anything is published
+        const sample = this.getMqttValues(Date.now(), { type: 'ENTRY', id: 1 });
+        for (const [name, template] of [['Event', this.settings.mqttEventPayload], ['Occupancy', this.settings.mqttOccupancyPayload]]) {
+            try {
+                JSON.parse(this.formatMqttTemplate(template, sample));
+            } catch (error) {
+                this.showNotification(`${name} payload template is not valid JSON: ${error.message}`, 'warning');
+            }
+        }
+    }
+
+    async toggleBackgroundEffect() {
+        this.settings.backgroundEnabled = !this.settings.backgroundEnabled;
+        this.updateDisplayMode();
+        await this.persistSettings();
+    }
+
+    async togglePrivacyMode() {
+        this.settings.privacyMode = !this.settings.privacyMode;
+        this.updateDisplayMode();
+        await this.persistSettings();
+    }
+
+    drawOverlay() {
+        // Clear canvas
+        this.overlayCtx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (this.isMainPipeline()) {
+            if (this.showHeatmap) {
+                this.drawHeatmap(this.overlayCtx, this.canvas.width, this.canvas.height);
+            }
+            this.drawMotionMask();
+        }
+
+        // This camera's zones, counting lines and the shape being drawn on it
+        this.drawZones();
+        this.drawTripwires();
+        this.drawEditorDraft();
+
+        // Draw bounding boxes for tracked people
+        for (const [localId, person] of this.trackedPeople.entries()) {
+            const [x, y, width, height] = person.bbox;
+            const isLost = person.state === 'lost';
+
+            // Draw bounding box with glow effect (dashed while the track is coasting unseen)
+            this.overlayCtx.shadowColor = '#00ffff';
+            this.overlayCtx.shadowBlur = isLost ? 0 : 10;
+            this.overlayCtx.strokeStyle = isLost ? 'rgba(0, 255, 255, 0.5)' : '#00ffff';
+            this.overlayCtx.lineWidth = 3;
+            this.overlayCtx.setLineDash(isLost ? [8, 6] : []);
+            this.overlayCtx.strokeRect(x, y, width, height);
+            this.overlayCtx.setLineDash([]);
+
+            // Reset shadow for text
+            this.overlayCtx.shadowBlur = 0;
+
+            // Draw local ID label
+            this.overlayCtx.fillStyle = '#00ffff';
+            this.overlayCtx.font = 'bold 16px Arial';
+            this.overlayCtx.fillText(`ID: ${localId}`, x, y - 10);
+
+            // Draw status dot indicator
+            this.overlayCtx.fillStyle = isLost ? '#ffaa00' : '#00ff88';
+            this.overlayCtx.beginPath();
+            this.overlayCtx.arc(x + width - 15, y + 15, 8, 0, 2 * Math.PI);
+            this.overlayCtx.fill();
+        }
+
+        // Draw detection info panel
+        this.overlayCtx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        this.overlayCtx.fillRect(10, 10, 250, 80);
+
+        this.overlayCtx.fillStyle = '#00ffff';
+        this.overlayCtx.font = '20px Arial';
+        this.overlayCtx.fillText(`People: ${this.stats.currentInRoom}`, 20, 35);
+
+        if (this.isDemoMode) {
+            this.overlayCtx.fillText(`Mode: Demo`, 20, 55);
+        } else {
+            this.overlayCtx.fillText(`FPS: ${this.fps}`, 20, 55);
+        }
+
+        this.overlayCtx.fillStyle = '#ffffff';
+        this.overlayCtx.font = '14px Arial';
+        const status = this.isPaused ? 'Paused' : (this.isDetectionIdle ? 'Idle (no motion)' : 'Active');
+        this.overlayCtx.fillText(`Status: ${status}`, 20, 75);
+    }
+
+    drawTripwires() {
+        const ctx = this.overlayCtx;
+        const lines = this.getCameraTripwires();
+
+        if (lines.length === 0 && !this.isTrackCounting()) {
+            // Nobody is counted on this camera until it has a door line
+            ctx.fillStyle = '#ff00ff';
+            ctx.font = 'bold 16px Arial';
+            ctx.fillText('No door line yet: use "Draw Lines" to start counting', 20, this.canvas.height - 20);
+            return;
+        }
+
+        for (const line of lines) {
+            const [a, b] = this.getTripwirePoints(line);
+
+            ctx.strokeStyle = '#ff00ff';
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.moveTo(a[0], a[1]);
+            ctx.lineTo(b[0], b[1]);
+            ctx.stroke();
+
+            // Arrow from the midpoint towards the inside of the room
+            const mid = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+            const length = Math.hypot(b[0] - a[0], b[1] - a[1]) || 1;
+            const normal = [
+                (-(b[1] - a[1]) / length) * line.insideSign,
+                ((b[0] - a[0]) / length) * line.insideSign
+            ];
+            const tip = [mid[0] + normal[0] * 40, mid[1] + normal[1] * 40];
+
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(mid[0], mid[1]);
+            ctx.lineTo(tip[0], tip[1]);
+            ctx.lineTo(tip[0] - normal[0] * 12 + normal[1] * 8, tip[1] - normal[1] * 12 - normal[0] * 8);
+            ctx.moveTo(tip[0], tip[1]);
+            ctx.lineTo(tip[0] - normal[0] * 12 - normal[1] * 8, tip[1] - normal[1] * 12 + normal[0] * 8);
+            ctx.stroke();
+
+            ctx.fillStyle = '#ff00ff';
+            ctx.font = 'bold 14px Arial';
+            ctx.fillText(`${line.name} (IN →)`, tip[0] + 6, tip[1]);
+        }
+    }
+
+    drawZones() {
+        const ctx = this.overlayCtx;
+
+        for (const zone of this.getCameraZones()) {
+            ctx.beginPath();
+            zone.points.forEach(([x, y], i) => {
+                const px = x * this.canvas.width;
+                const py = y * this.canvas.height;
+                if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+            });
+            ctx.closePath();
+
+            ctx.globalAlpha = 0.15;
+            ctx.fillStyle = zone.color;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = zone.color;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+
+            const [labelX, labelY] = zone.points[0];
+            ctx.fillStyle = zone.color;
+            ctx.font = 'bold 14px Arial';
+            ctx.fillText(`${zone.name}: ${this.getZoneOccupants(zone).length}`,
+                labelX * this.canvas.width + 6, labelY * this.canvas.height + 18);
+        }
+    }
+
+    drawEditorDraft() {
+        if (!this.editorDraft || this.editorDraft.pipeline !== this.activePipeline) return;
+
+        const ctx = this.overlayCtx;
+        const toCanvas = ([x, y]) => [x * this.canvas.width, y * this.canvas.height];
+        ctx.lineWidth = 3;
+        ctx.setLineDash([10, 6]);
+
+        if (this.overlayEditMode === 'tripwire') {
+            const start = toCanvas(this.editorDraft.start);
+            const end = toCanvas(this.editorDraft.end);
+            ctx.strokeStyle = 'rgba(255, 0, 255, 0.6)';
+            ctx.beginPath();
+            ctx.moveTo(start[0], start[1]);
+            ctx.lineTo(end[0], end[1]);
+            ctx.stroke();
+        } else if (this.isPolygonEditMode()) {
+            const points = [...this.editorDraft.points, this.editorDraft.cursor].filter(Boolean).map(toCanvas);
+            ctx.strokeStyle = this.overlayEditMode === 'mask' ? 'rgba(255, 255, 0, 0.7)' : 'rgba(0, 255, 136, 0.7)';
+            ctx.beginPath();
+            points.forEach(([x, y], i) => {
+                if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+
+            // Mark the first vertex, clicking it closes the polygon
+            const [firstX, firstY] = points[0];
+            ctx.fillStyle = '#00ff88';
+            ctx.beginPath();
+            ctx.arc(firstX, firstY, 6, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+
+        ctx.setLineDash([]);
+    }
+
+    // Overlay editor
+    setupOverlayEditor() {
+        this.bindOverlayEditor(this.mainPipeline);
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.editorDraft) {
+                const { pipeline } = this.editorDraft;
+                this.editorDraft = null;
+                this.redrawOverlay(pipeline);
+            }
+        });
+    }
+
+    bindOverlayEditor(pipeline) {
+        // Lines and zones are drawn on the overlay of the camera they belong to
+        const canvas = pipeline.canvas;
+        canvas.addEventListener('pointerdown', (e) => this.handleEditorPointerDown(e, pipeline));
+        canvas.addEventListener('pointermove', (e) => this.handleEditorPointerMove(e, pipeline));
+        canvas.addEventListener('pointerup', (e) => this.handleEditorPointerUp(e, pipeline));
+        canvas.addEventListener('contextmenu', (e) => this.handleEditorContextMenu(e, pipeline));
+        canvas.classList.toggle('editing', this.overlayEditMode === 'tripwire' || this.overlayEditMode === 'zone');
+    }
+
+    redrawOverlay(pipeline) {
+        this.runInPipeline(pipeline, () => this.drawOverlay());
+    }
+
+    setOverlayEditMode(mode) {
+        this.overlayEditMode = mode;
+        this.editorDraft = null;
+        for (const pipeline of this.cameraPipelines.values()) {
+            // The motion mask only applies to the main camera
+            const editable = mode !== null && (mode !== 'mask' || pipeline === this.mainPipeline);
+            pipeline.canvas.classList.toggle('editing', editable);
+        }
+        document.getElementById('tripwire-btn').classList.toggle('active', mode === 'tripwire');
+        document.getElementById('zone-btn').classList.toggle('active', mode === 'zone');
+
+        if (mode === 'tripwire') {
+            this.showNotification('Drag across a doorway to add a line. Click an arrow to flip it, right-click a line to delete it.', 'info');
+        } else if (mode === 'zone') {
+            this.showNotification('Click to add corners, click the first corner to close the zone. Right-click a zone to delete it, Esc cancels.', 'info');
+        } else if (mode === 'mask') {
+            this.showNotification('Outline the area to watch for motion; click the first corner to finish. Esc cancels.', 'info');
+        }
+        for (const pipeline of this.cameraPipelines.values()) {
+            this.redrawOverlay(pipeline);
+        }
+    }
+
+    isPolygonEditMode() {
+        return this.overlayEditMode === 'zone' || this.overlayEditMode === 'mask';
+    }
+
+    toggleTripwireEditor() {
+        this.setOverlayEditMode(this.overlayEditMode === 'tripwire' ? null : 'tripwire');
+    }
+
+    toggleZoneEditor() {
+        this.setOverlayEditMode(this.overlayEditMode === 'zone' ? null : 'zone');
+    }
+
+    getNormalizedPoint(e, pipeline) {
+        const rect = pipeline.canvas.getBoundingClientRect();
+        return [
+            Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+            Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+        ];
+    }
+
+    findTripwireAt(point, pipeline, tolerance = 0.03) {
+        return this.getCameraTripwires(pipeline).find(line =>
+            distanceToSegment(point, [line.x1, line.y1], [line.x2, line.y2]) < tolerance
+        );
+    }
+
+    handleEditorPointerDown(e, pipeline) {
+        if (this.overlayEditMode !== 'tripwire' || e.button !== 0) return;
+
+        const point = this.getNormalizedPoint(e, pipeline);
+        this.editorDraft = { pipeline, start: point, end: point };
+        pipeline.canvas.setPointerCapture(e.pointerId);
+    }
+
+    handleEditorPointerMove(e, pipeline) {
+        if (!this.editorDraft || this.editorDraft.pipeline !== pipeline) return;
+
+        if (this.overlayEditMode === 'tripwire') {
+            this.editorDraft.end = this.getNormalizedPoint(e, pipeline);
+        } else if (this.isPolygonEditMode()) {
+            this.editorDraft.cursor = this.getNormalizedPoint(e, pipeline);
+        }
+        this.redrawOverlay(pipeline);
+    }
+
+    async handleEditorPointerUp(e, pipeline) {
+        if (this.isPolygonEditMode() && e.button === 0) {
+            await this.addPolygonVertex(this.getNormalizedPoint(e, pipeline), pipeline);
+            return;
+        }
+        if (this.overlayEditMode !== 'tripwire' || !this.editorDraft || this.editorDraft.pipeline !== pipeline) return;
+
+        const { start } = this.editorDraft;
+        const end = this.getNormalizedPoint(e, pipeline);
+        this.editorDraft = null;
+
+        if (Math.hypot(end[0] - start[0], end[1] - start[1]) < 0.02) {
+            // A click rather than a drag flips the inside direction of the line under it
+            const line = this.findTripwireAt(end, pipeline);
+            if (line) {
+                line.insideSign = -line.insideSign;
+                await this.persistSettings();
+            }
+            this.redrawOverlay(pipeline);
+            return;
+        }
+
+        const name = prompt('Name this line:', `Door ${this.settings.tripwires.length + 1}`);
+        if (name !== null) {
+            this.settings.tripwires.push({
+                id: `line-${Date.now()}`,
+                name: name.trim() || `Door ${this.settings.tripwires.length + 1}`,
+                cameraId: pipeline.id,
+                x1: start[0],
+                y1: start[1],
+                x2: end[0],
+                y2: end[1],
+                insideSign: 1
+            });
+            await this.persistSettings();
+        }
+        this.redrawOverlay(pipeline);
+    }
+
+    async handleEditorContextMenu(e, pipeline) {
+        if (!this.overlayEditMode) return;
+        e.preventDefault();
+        const point = this.getNormalizedPoint(e, pipeline);
+
+        if (this.overlayEditMode === 'tripwire') {
+            const line = this.findTripwireAt(point, pipeline);
+            if (line && confirm(`Delete line "${line.name}"?`)) {
+                this.settings.tripwires = this.settings.tripwires.filter(other => other !== line);
+                await this.persistSettings();
+                this.redrawOverlay(pipeline);
+            }
+        } else if (this.overlayEditMode === 'zone') {
+            const zone = this.getCameraZones(pipeline).find(candidate => pointInPolygon(point, candidate.points));
+            if (zone && confirm(`Delete zone "${zone.name}"?`)) {
+                // ZONE_EXIT events are stamped with the zone's camera
+                this.runInPipeline(pipeline, () => {
+                    for (const person of this.getZoneOccupants(zone)) {
+                        this.leaveZone(person, zone);
+                    }
+                });
+                this.settings.zones = this.settings.zones.filter(other => other !== zone);
+                await this.persistSettings();
+                this.updateZonesDisplay();
+                this.redrawOverlay(pipeline);
+            }
+        }
+    }
+
+    async addPolygonVertex(point, pipeline) {
+        if (!this.editorDraft) {
+            this.editorDraft = { pipeline, points: [point], cursor: point };
+            this.redrawOverlay(pipeline);
+            return;
+        }
+        // A polygon is finished on the camera it was started on
+        if (this.editorDraft.pipeline !== pipeline) return;
+
+        const { points } = this.editorDraft;
+        const [firstX, firstY] = points[0];
+        const closesPolygon = points.length >= 3 && Math.hypot(point[0] - firstX, point[1] - firstY) < 0.03;
+
+        if (!closesPolygon) {
+            points.push(point);
+            this.redrawOverlay(pipeline);
+            return;
+        }
+
+        this.editorDraft = null;
+
+        if (this.overlayEditMode === 'mask') {
+            this.settings.motionMask = points;
+            this.updateMotionMask();
+            await this.persistSettings();
+            this.setOverlayEditMode(null);
+            this.showNotification('Motion mask saved', 'success');
+            return;
+        }
+
+        const name = prompt('Name this zone:', `Zone ${this.settings.zones.length + 1}`);
+        if (name !== null) {
+            this.settings.zones.push({
+                id: `zone-${Date.now()}`,
+                name: name.trim() || `Zone ${this.settings.zones.length + 1}`,
+                cameraId: pipeline.id,
+                color: ZONE_COLORS[this.settings.zones.length % ZONE_COLORS.length],
+                points
+            });
+            await this.persistSettings();
+            this.updateZonesDisplay();
+        }
+        this.redrawOverlay(pipeline);
+    }
+
+    updateFPS() {
+        this.frameCount++;
+        const now = Date.now();
+        if (now - this.lastFpsUpdate >= 1000) {
+            this.fps = this.frameCount;
+            this.frameCount = 0;
+            this.lastFpsUpdate = now;
+        }
+    }
+
+    updateCurrentPeopleDisplay() {
+        const grid = document.getElementById('current-people-grid');
+        const people = this.getAllTrackedPeople();
+
+        if (people.length === 0) {
+            grid.innerHTML = '<div class="no-people">No people currently detected</div>';
+            return;
+        }
+
+        grid.innerHTML = '';
+
+        for (const [localId, person] of people) {
+            const card = document.createElement('div');
+            card.className = 'person-card';
+
+            const avatar = document.createElement('img');
+            avatar.className = 'person-avatar';
+            avatar.src = this.storedImages.get(localId)?.url || 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAiIGhlaWdodD0iNDAiIHZpZXdCb3g9IjAgMCA0MCA0MCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPGNpcmNsZSBjeD0iMjAiIGN5PSIyMCIgcj0iMjAiIGZpbGw9IiMwMGNjZmYiLz4KPHRleHQgeD0iMjAiIHk9IjI1IiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBmaWxsPSIjZmZmZmZmIiBmb250LXNpemU9IjEyIj5QRVI8L3RleHQ+Cjwvc3ZnPg==';
+            avatar.alt = `Person ${localId}`;
+
+            const info = document.createElement('div');
+            info.className = 'person-info';
+
+            const id = document.createElement('div');
+            id.className = 'person-id';
+            id.textContent = this.cameraPipelines.size > 1 ? `ID: ${localId} · ${person.cameraName}` : `ID: ${localId}`;
+
+            const time = document.createElement('div');
+            time.className = 'person-time';
+            time.textContent = `Seen: ${Math.floor((this.getCurrentTimestamp() - person.firstSeenTimestamp) / 1000)}s ago`;
+
+            info.appendChild(id);
+            info.appendChild(time);
+
+            card.appendChild(avatar);
+            card.appendChild(info);
+
+            grid.appendChild(card);
+        }
+    }
+
+    updateStatsDisplay() {
+        document.getElementById('current-count').textContent = this.stats.currentInRoom;
+        document.getElementById('total-entered').textContent = this.stats.totalEntered;
+        document.getElementById('total-left').textContent = this.stats.totalLeft;
+        document.getElementById('speech-status').textContent = this.isMuted ? 'OFF' : 'ON';
+
+        this.evaluateRules();
+        this.publishOccupancy();
+
+        // Save stats
+        this.saveStats();
+    }
+
+    updateTimeline() {
+        const timeline = document.getElementById('event-timeline');
+
+        if (this.eventLog.length === 0) {
+            timeline.innerHTML = '<div class="timeline-item loading">No events yet</div>';
+            return;
+        }
+
+        timeline.innerHTML = '';
+
+        // Show last 20 events
+        const recentEvents = this.eventLog.slice(0, 20);
 
-        // Add event to log
-        const event = {
-            eventType: 'EXIT',
-            localId,
-            timestamp: Date.now()
-        };
-        this.eventLog.unshift(event);
-        await this.saveEvent(event);
+        for (const event of recentEvents) {
+            const item = document.createElement('div');
+            item.className = `timeline-item ${event.eventType.toLowerCase()}`;
 
-        // Update UI
-        this.updateStatsDisplay();
-        this.updateTimeline();
-        this.updateCurrentPeopleDisplay();
+            const time = document.createElement('div');
+            time.className = 'timeline-time';
+            time.textContent = new Date(event.timestamp).toLocaleTimeString();
 
-        // Add sequential announcement for exit
-        const exitCount = this.announcementQueue.filter(a => a.text.includes('left')).length + 1;
-        const announcementText = exitCount === 1 ?
-            'A person left the room' :
-            `A ${this.getOrdinalNumber(exitCount)} person left the room`;
+            const content = document.createElement('div');
+            content.className = 'timeline-content';
 
-        this.addToAnnouncementQueue(announcementText);
+            if (event.eventType === 'SUMMARY') {
+                // Summaries get a card of their own instead of a person avatar
+                const title = document.createElement('div');
+                title.className = 'timeline-summary-title';
+                title.textContent = event.period === 'day' ? '📝 End-of-day summary' : '📝 Activity summary';
+                const text = document.createElement('div');
+                text.className = 'timeline-text';
+                text.textContent = event.message;
+                content.appendChild(title);
+                content.appendChild(text);
+                item.appendChild(time);
+                item.appendChild(content);
+                timeline.appendChild(item);
+                continue;
+            }
 
-        if (this.exitSound && !this.isMuted) {
-            this.exitSound.play();
+            const avatar = document.createElement('img');
+            avatar.className = 'timeline-avatar';
+            avatar.src = this.storedImages.get(event.localId)?.url || 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAiIGhlaWdodD0iNDAiIHZpZXdCb3g9IjAgMCA0MCA0MCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPGNpcmNsZSBjeD0iMjAiIGN5PSIyMCIgcj0iMjAiIGZpbGw9IiMwMGNjZmYiLz4KPHRleHQgeD0iMjAiIHk9IjI1IiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBmaWxsPSIjZmZmZmZmIiBmb250LXNpemU9IjEyIj5QRVI8L3RleHQ+Cjwvc3ZnPg==';
+            avatar.alt = `Person ${event.localId}`;
+
+            const text = document.createElement('div');
+            text.className = 'timeline-text';
+            text.textContent = this.describeEvent(event);
+
+            content.appendChild(avatar);
+            content.appendChild(text);
+
+            item.appendChild(time);
+            item.appendChild(content);
+
+            timeline.appendChild(item);
         }
+    }
 
-        this.showNotification(`Person ${localId} left the room`, 'warning');
+    describeEvent(event) {
+        if (event.eventType === 'SUMMARY') {
+            return event.message;
+        }
+        if (event.eventType === 'REAPPEAR') {
+            return `Person ${event.localId} reappeared after ${this.formatDuration(event.goneForMs)}`;
+        }
+        if (event.eventType === 'ZONE_ENTER') {
+            return `Person ${event.localId} entered zone "${event.zoneName}"`;
+        }
+        if (event.eventType === 'ZONE_EXIT') {
+            return `Person ${event.localId} left zone "${event.zoneName}" after ${this.formatDuration(event.dwellMs)}`;
+        }
+
+        if (event.ruleName) {
+            return `${event.ruleName}: ${event.message}`;
+        }
+
+        const via = event.lineName ? ` via ${event.lineName}` : '';
+        return `Person ${event.localId} ${event.eventType === 'ENTRY' ? 'entered' : 'left'} the room${via}`;
     }
 
-    async capturePersonPhoto(localId, bbox) {
+    // Storage methods
+    async saveImage(imageData) {
         try {
-            const [x, y, width, height] = bbox;
+            // The object URL only lives as long as this page
+            const { url, ...image } = imageData;
+            const record = await this.sealRecord('images', image);
+            const transaction = this.db.transaction(['images'], 'readwrite');
+            transaction.objectStore('images').put(record);
+            await this.waitForTransaction(transaction);
+        } catch (error) {
+            console.error('Failed to save image:', error);
+            if (error?.name === 'QuotaExceededError') {
+                this.showNotification('Storage is full: lower the retention limits or clear old data', 'error');
+            }
+        }
+    }
 
-            // Create a canvas for the cropped image
-            const cropCanvas = document.createElement('canvas');
-            const cropCtx = cropCanvas.getContext('2d');
+    // Retention and quota
+    startRetentionTimer() {
+        clearInterval(this.retentionTimer);
+        this.retentionTimer = setInterval(() => this.enforceRetention(), RETENTION_INTERVAL_MS);
+        this.enforceRetention();
+    }
 
-            // Set dimensions for the cropped image (160x160)
-            cropCanvas.width = 160;
-            cropCanvas.height = 160;
+    async enforceRetention() {
+        if (!this.db || this.retentionRunning) return;
+        this.retentionRunning = true;
 
-            // Calculate crop area (add some padding)
-            const padding = 20;
-            const cropX = Math.max(0, x - padding);
-            const cropY = Math.max(0, y - padding);
-            const cropWidth = Math.min(this.video.videoWidth - cropX, width + padding * 2);
-            const cropHeight = Math.min(this.video.videoHeight - cropY, height + padding * 2);
+        try {
+            // Photos of people who are in view right now are never removed
+            const inView = new Set(this.getAllTrackedPeople().map(([localId]) => localId));
+            const removedImages = new Set();
+            let removedEvents = [];
+            let removedClips = [];
+
+            if (this.settings.retentionDays > 0) {
+                const cutoff = IDBKeyRange.upperBound(Date.now() - this.settings.retentionDays * 86400000, true);
+                removedEvents = await this.deleteFromIndex('events', 'timestamp', cutoff);
+                removedClips = await this.deleteFromIndex('clips', 'timestamp', cutoff);
+                for (const image of this.storedImages.values()) {
+                    if (image.firstSeenTimestamp < cutoff.upper && !inView.has(image.localId)) {
+                        removedImages.add(image.localId);
+                    }
+                }
+            }
 
-            // Draw the cropped area
-            cropCtx.drawImage(
-                this.video,
-                cropX, cropY, cropWidth, cropHeight,
-                0, 0, 160, 160
-            );
+            // Oldest photos beyond the count limit
+            const images = [...this.storedImages.values()]
+                .filter(image => !removedImages.has(image.localId) && !inView.has(image.localId))
+                .sort((a, b) => a.firstSeenTimestamp - b.firstSeenTimestamp);
+            const excess = this.storedImages.size - removedImages.size - this.settings.maxStorageItems;
+            images.slice(0, Math.max(0, excess)).forEach(image => removedImages.add(image.localId));
+
+            // Byte budget over photos and clips together, oldest media go first
+            if (this.settings.maxStorageMB > 0) {
+                const removedClipIds = new Set(removedClips.map(clip => clip.id));
+                const media = [
+                    ...(await this.getClipSizes())
+                        .filter(clip => !removedClipIds.has(clip.id))
+                        .map(clip => ({ clip, timestamp: clip.timestamp, size: clip.size })),
+                    ...[...this.storedImages.values()]
+                        .filter(image => !removedImages.has(image.localId))
+                        .map(image => ({ image, timestamp: image.firstSeenTimestamp, size: image.blob.size }))
+                ].sort((a, b) => a.timestamp - b.timestamp);
+
+                let total = media.reduce((sum, item) => sum + item.size, 0);
+                const budget = this.settings.maxStorageMB * 1024 * 1024;
+                const overBudgetClips = [];
+                for (const item of media) {
+                    if (total <= budget) break;
+                    if (item.image && inView.has(item.image.localId)) continue;
+                    if (item.clip) {
+                        overBudgetClips.push(item.clip.id);
+                    } else {
+                        removedImages.add(item.image.localId);
+                    }
+                    total -= item.size;
+                }
+                removedClips = removedClips.concat(await this.deleteRecords('clips', overBudgetClips));
+            }
 
-            // Apply face blur if enabled
-            if (this.settings.faceBlur) {
-                await this.applyFaceBlur(cropCanvas, cropCtx);
+            await this.deleteRecords('images', [...removedImages]);
+            removedImages.forEach(localId => this.forgetImage(localId));
+
+            if (removedEvents.length > 0) {
+                const removedIds = new Set(removedEvents.map(event => event.id));
+                this.eventLog = this.eventLog.filter(event => !removedIds.has(event.id));
+                this.updateTimeline();
+            }
+            removedClips.forEach(clip => this.clipEventIds.delete(clip.eventId));
+
+            if (removedEvents.length + removedClips.length + removedImages.size > 0) {
+                this.lastRetentionSummary = `last cleanup removed ${removedEvents.length} events, ` +
+                    `${removedImages.size} photos and ${removedClips.length} clips`;
+                this.updateStoredImagesDisplay();
+                this.updateLogsDisplay();
             }
+        } catch (error) {
+            console.error('Failed to apply retention policy:', error);
+        } finally {
+            this.retentionRunning = false;
+        }
 
-            // Convert to data URL
-            const imageDataURL = cropCanvas.toDataURL('image/png');
+        await this.updateStorageEstimate();
+    }
 
-            // Store in memory and database
-            const imageData = {
-                localId,
-                firstSeenTimestamp: Date.now(),
-                imageDataURL
+    async deleteFromIndex(storeName, indexName, range) {
+        // Resolves with the deleted records
+        const transaction = this.db.transaction([storeName], 'readwrite');
+        const request = transaction.objectStore(storeName).index(indexName).openCursor(range);
+        const deleted = [];
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            deleted.push(cursor.value);
+            cursor.delete();
+            cursor.continue();
+        };
+
+        await this.waitForTransaction(transaction);
+        return deleted;
+    }
+
+    async deleteRecords(storeName, keys) {
+        // Resolves with the deleted records
+        if (keys.length === 0) return [];
+        const transaction = this.db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const deleted = [];
+
+        for (const key of keys) {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                if (request.result) deleted.push(request.result);
+                store.delete(key);
             };
+        }
 
-            this.storedImages.set(localId, imageData);
-            await this.saveImage(imageData);
+        await this.waitForTransaction(transaction);
+        return deleted;
+    }
 
-            // Update admin UI if open
-            this.updateStoredImagesDisplay();
+    async getClipSizes() {
+        // Sizes are known without reading or decrypting the video data
+        const clips = await this.getAllRecords('clips');
+        return clips.map(clip => ({
+            id: clip.id,
+            timestamp: clip.timestamp,
+            size: clip.blob ? clip.blob.size : clip.blobCipher.data.byteLength
+        }));
+    }
+
+    async requestPersistentStorage() {
+        // Persistent storage is not evicted when the browser runs low on disk
+        if (!navigator.storage?.persist) return;
 
+        try {
+            this.storagePersisted = await navigator.storage.persisted() || await navigator.storage.persist();
+            if (!this.storagePersisted) {
+                console.warn('Persistent storage was not granted, the browser may evict stored data');
+            }
         } catch (error) {
-            console.error('Failed to capture person photo:', error);
+            console.error('Failed to request persistent storage:', error);
         }
     }
 
-    async applyFaceBlur(canvas, ctx) {
-        // This is a simple blur - in a real implementation, you'd use
-        // a face detection library to detect and blur specific face regions
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const data = imageData.data;
+    async updateStorageEstimate() {
+        const usedElement = document.getElementById('storage-used');
+        const detailElement = document.getElementById('storage-detail');
+
+        if (!navigator.storage?.estimate) {
+            const bytes = [...this.storedImages.values()].reduce((sum, image) => sum + image.blob.size, 0);
+            usedElement.textContent = this.formatBytes(bytes);
+            detailElement.textContent = [`${this.storedImages.size} photos, quota unknown`, this.lastRetentionSummary]
+                .filter(Boolean).join(' · ');
+            return;
+        }
 
-        // Simple blur effect - reduce image quality
-        for (let i = 0; i < data.length; i += 4) {
-            // Reduce color precision
-            data[i] = Math.floor(data[i] / 32) * 32;     // Red
-            data[i + 1] = Math.floor(data[i + 1] / 32) * 32; // Green
-            data[i + 2] = Math.floor(data[i + 2] / 32) * 32; // Blue
+        try {
+            const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+            const ratio = quota > 0 ? usage / quota : 0;
+            usedElement.textContent = this.formatBytes(usage);
+            usedElement.classList.toggle('storage-warning', ratio >= STORAGE_WARNING_RATIO);
+            detailElement.textContent = [
+                `${(ratio * 100).toFixed(1)}% of ${this.formatBytes(quota)}`,
+                `${this.storedImages.size} photos`,
+                this.storagePersisted ? 'persistent' : 'may be evicted',
+                this.lastRetentionSummary
+            ].filter(Boolean).join(' · ');
+
+            if (ratio >= STORAGE_WARNING_RATIO && !this.storageWarningShown) {
+                this.showNotification(`Storage is ${Math.round(ratio * 100)}% full: lower the retention limits or export and clear old data`, 'warning');
+            }
+            this.storageWarningShown = ratio >= STORAGE_WARNING_RATIO;
+        } catch (error) {
+            console.error('Failed to estimate storage:', error);
         }
+    }
 
-        ctx.putImageData(imageData, 0, 0);
+    formatBytes(bytes) {
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
     }
 
-    drawOverlay() {
-        // Update FPS counter (only in camera mode)
-        if (!this.isDemoMode) {
-            this.updateFPS();
+    // Admin lock and audit trail
+    async loadAdminLock() {
+        const transaction = this.db.transaction(['settings'], 'readonly');
+        const request = transaction.objectStore('settings').get('adminLock');
+
+        this.adminLock = await new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async requireAdmin(action) {
+        // Resolves true when the action may go ahead, asking for the PIN if the session is locked
+        if (!this.adminLock || this.adminUnlockedUntil > Date.now()) {
+            this.touchAdminSession();
+            return true;
         }
 
-        // Clear canvas
-        this.overlayCtx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        let message = `Enter the admin PIN to ${action}.`;
+        for (;;) {
+            const pin = await this.askPassphrase({ title: 'Admin PIN', message, allowCancel: true });
+            if (pin === null) return false;
 
-        // Draw bounding boxes for tracked people
-        for (const [localId, person] of this.trackedPeople.entries()) {
-            const [x, y, width, height] = person.bbox;
+            if (await this.hashAdminPin(pin, this.adminLock.salt, this.adminLock.iterations) === this.adminLock.hash) {
+                this.recordAudit('ADMIN_UNLOCKED', { action });
+                this.touchAdminSession();
+                return true;
+            }
+            this.recordAudit('ADMIN_UNLOCK_FAILED', { action });
+            message = 'Wrong PIN, try again.';
+        }
+    }
 
-            // Draw bounding box with glow effect
-            this.overlayCtx.shadowColor = '#00ffff';
-            this.overlayCtx.shadowBlur = 10;
-            this.overlayCtx.strokeStyle = '#00ffff';
-            this.overlayCtx.lineWidth = 3;
-            this.overlayCtx.strokeRect(x, y, width, height);
+    touchAdminSession() {
+        if (!this.adminLock) return;
 
-            // Reset shadow for text
-            this.overlayCtx.shadowBlur = 0;
+        const timeoutMs = this.settings.adminLockMinutes * 60000;
+        this.adminUnlockedUntil = Date.now() + timeoutMs;
+        clearTimeout(this.adminLockTimer);
+        this.adminLockTimer = setTimeout(() => this.lockAdmin('timeout'), timeoutMs);
+        this.updateAdminLockDisplay();
+    }
 
-            // Draw local ID label
-            this.overlayCtx.fillStyle = '#00ffff';
-            this.overlayCtx.font = 'bold 16px Arial';
-            this.overlayCtx.fillText(`ID: ${localId}`, x, y - 10);
+    lockAdmin(reason) {
+        if (!this.adminLock || this.adminUnlockedUntil === 0) return;
 
-            // Draw green dot indicator
-            this.overlayCtx.fillStyle = '#00ff88';
-            this.overlayCtx.beginPath();
-            this.overlayCtx.arc(x + width - 15, y + 15, 8, 0, 2 * Math.PI);
-            this.overlayCtx.fill();
+        this.adminUnlockedUntil = 0;
+        clearTimeout(this.adminLockTimer);
+        this.hideSettingsModal();
+        this.hideAdminModal();
+        this.hideExportModal();
+        this.hideImportModal();
+        this.recordAudit('ADMIN_LOCKED', { reason });
+        this.updateAdminLockDisplay();
+        this.showNotification('Admin controls locked', 'info');
+    }
+
+    async hashAdminPin(pin, salt, iterations) {
+        // PBKDF2 keeps short PINs expensive to brute-force from a copied profile
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 256);
+        return this.bytesToHex(new Uint8Array(bits));
+    }
+
+    bytesToHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    async setAdminPin() {
+        const pinInput = document.getElementById('admin-pin');
+        const confirmInput = document.getElementById('admin-pin-confirm');
+        if (pinInput.value.length < 4) {
+            this.showNotification('The PIN needs at least 4 characters', 'error');
+            return;
+        }
+        if (pinInput.value !== confirmInput.value) {
+            this.showNotification('The PINs do not match', 'error');
+            return;
         }
 
-        // Draw detection info panel
-        this.overlayCtx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-        this.overlayCtx.fillRect(10, 10, 250, 80);
+        const hadPin = !!this.adminLock;
+        try {
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            const adminLock = {
+                salt,
+                iterations: PBKDF2_ITERATIONS,
+                hash: await this.hashAdminPin(pinInput.value, salt, PBKDF2_ITERATIONS)
+            };
+            const transaction = this.db.transaction(['settings'], 'readwrite');
+            transaction.objectStore('settings').put({ id: 'adminLock', ...adminLock });
+            await this.waitForTransaction(transaction);
+
+            this.adminLock = adminLock;
+            pinInput.value = '';
+            confirmInput.value = '';
+            this.recordAudit(hadPin ? 'PIN_CHANGED' : 'PIN_SET');
+            this.touchAdminSession();
+            this.showNotification(hadPin ? 'Admin PIN changed' : 'Admin PIN set', 'success');
+        } catch (error) {
+            console.error('Failed to save admin PIN:', error);
+            this.showNotification('Failed to save admin PIN', 'error');
+        }
+    }
 
-        this.overlayCtx.fillStyle = '#00ffff';
-        this.overlayCtx.font = '20px Arial';
-        this.overlayCtx.fillText(`People: ${this.stats.currentInRoom}`, 20, 35);
+    async removeAdminPin() {
+        if (!this.adminLock || !confirm('Remove the admin PIN? Admin, Settings, Export and Clear will be open to anyone.')) {
+            return;
+        }
 
-        if (this.isDemoMode) {
-            this.overlayCtx.fillText(`Mode: Demo`, 20, 55);
-        } else {
-            this.overlayCtx.fillText(`FPS: ${this.fps}`, 20, 55);
+        try {
+            const transaction = this.db.transaction(['settings'], 'readwrite');
+            transaction.objectStore('settings').delete('adminLock');
+            await this.waitForTransaction(transaction);
+
+            this.adminLock = null;
+            this.adminUnlockedUntil = 0;
+            clearTimeout(this.adminLockTimer);
+            this.recordAudit('PIN_REMOVED');
+            this.updateAdminLockDisplay();
+            this.showNotification('Admin PIN removed', 'success');
+        } catch (error) {
+            console.error('Failed to remove admin PIN:', error);
+            this.showNotification('Failed to remove admin PIN', 'error');
         }
+    }
 
-        this.overlayCtx.fillStyle = '#ffffff';
-        this.overlayCtx.font = '14px Arial';
-        this.overlayCtx.fillText(`Status: ${this.isPaused ? 'Paused' : 'Active'}`, 20, 75);
+    updateAdminLockDisplay() {
+        const unlocked = !!this.adminLock && this.adminUnlockedUntil > Date.now();
+        document.getElementById('lock-btn').classList.toggle('hidden', !unlocked);
+        document.getElementById('admin-pin-status').textContent = this.adminLock
+            ? `On: Admin, Settings, Export, Import and Clear ask for the PIN after ${this.settings.adminLockMinutes} idle minutes.`
+            : 'Off: anyone at this device can open Admin and Settings, export or clear data.';
+        document.getElementById('admin-pin-status').classList.toggle('on', !!this.adminLock);
+        document.getElementById('admin-pin-set').textContent = this.adminLock ? 'Change PIN' : 'Set PIN';
+        document.getElementById('admin-pin-remove').classList.toggle('hidden', !this.adminLock);
     }
 
-    updateFPS() {
-        this.frameCount++;
-        const now = Date.now();
-        if (now - this.lastFpsUpdate >= 1000) {
-            this.fps = this.frameCount;
-            this.frameCount = 0;
-            this.lastFpsUpdate = now;
+    async loadAuditHead() {
+        const transaction = this.db.transaction(['audit'], 'readonly');
+        const request = transaction.objectStore('audit').openCursor(null, 'prev');
+
+        const last = await new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result ? request.result.value : null);
+            request.onerror = () => reject(request.error);
+        });
+        if (last) {
+            this.auditHead = { seq: last.seq, hash: last.hash };
         }
     }
 
-    updateCurrentPeopleDisplay() {
-        const grid = document.getElementById('current-people-grid');
+    recordAudit(action, detail = {}) {
+        // Entries are appended one at a time so each one links to the hash of the one before
+        this.auditQueue = this.auditQueue
+            .then(() => this.appendAudit(action, detail))
+            .catch(error => console.error('Failed to write audit entry:', error));
+        return this.auditQueue;
+    }
 
-        if (this.trackedPeople.size === 0) {
-            grid.innerHTML = '<div class="no-people">No people currently detected</div>';
+    async appendAudit(action, detail) {
+        const entry = {
+            seq: this.auditHead.seq + 1,
+            timestamp: Date.now(),
+            action,
+            detail,
+            prevHash: this.auditHead.hash
+        };
+        entry.hash = await this.hashAuditEntry(entry);
+
+        const transaction = this.db.transaction(['audit'], 'readwrite');
+        transaction.objectStore('audit').add(entry);
+        await this.waitForTransaction(transaction);
+        this.auditHead = { seq: entry.seq, hash: entry.hash };
+
+        if (document.querySelector('.admin-tab-content[data-tab="audit"]').classList.contains('active')) {
+            this.updateAuditDisplay();
+        }
+    }
+
+    async hashAuditEntry({ seq, timestamp, action, detail, prevHash }) {
+        const text = JSON.stringify([prevHash, seq, timestamp, action, detail]);
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return this.bytesToHex(new Uint8Array(digest));
+    }
+
+    async verifyAuditLog() {
+        // Walks the chain from the start; an edited, removed or reordered entry breaks every link after it
+        const entries = await this.getAllRecords('audit');
+        let prevHash = AUDIT_GENESIS_HASH;
+
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            if (entry.seq !== i + 1) {
+                return { valid: false, seq: i + 1, reason: 'is missing' };
+            }
+            if (entry.prevHash !== prevHash || await this.hashAuditEntry(entry) !== entry.hash) {
+                return { valid: false, seq: entry.seq, reason: 'was altered' };
+            }
+            prevHash = entry.hash;
+        }
+        return { valid: true, count: entries.length, head: prevHash };
+    }
+
+    async showAuditVerification() {
+        const status = document.getElementById('audit-status');
+        try {
+            const result = await this.verifyAuditLog();
+            status.textContent = result.valid
+                ? `Chain intact: ${result.count} entries, latest hash ${result.head.slice(0, 16)}…`
+                : `Chain broken: entry #${result.seq} ${result.reason}`;
+            status.className = `audit-status ${result.valid ? 'valid' : 'broken'}`;
+            this.recordAudit('AUDIT_VERIFIED', { valid: result.valid });
+        } catch (error) {
+            console.error('Failed to verify audit log:', error);
+            status.textContent = 'Verification failed';
+            status.className = 'audit-status broken';
+        }
+    }
+
+    async updateAuditDisplay() {
+        // Latest entries first, read backwards through the seq key
+        const transaction = this.db.transaction(['audit'], 'readonly');
+        const request = transaction.objectStore('audit').openCursor(null, 'prev');
+        const entries = await new Promise((resolve, reject) => {
+            const collected = [];
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || collected.length >= AUDIT_DISPLAY_LIMIT) {
+                    resolve(collected);
+                    return;
+                }
+                collected.push(cursor.value);
+                cursor.continue();
+            };
+        });
+
+        const list = document.getElementById('audit-list');
+        if (entries.length === 0) {
+            list.innerHTML = '<div class="no-logs">No privileged actions recorded yet</div>';
             return;
         }
 
-        grid.innerHTML = '';
+        list.innerHTML = '';
+        for (const entry of entries) {
+            const item = document.createElement('div');
+            item.className = 'audit-item';
+
+            const header = document.createElement('div');
+            header.className = 'audit-header';
+            const action = document.createElement('span');
+            action.className = 'audit-action';
+            action.textContent = `#${entry.seq} ${entry.action}`;
+            const time = document.createElement('span');
+            time.className = 'log-time';
+            time.textContent = new Date(entry.timestamp).toLocaleString();
+            header.appendChild(action);
+            header.appendChild(time);
 
-        for (const [localId, person] of this.trackedPeople.entries()) {
-            const card = document.createElement('div');
-            card.className = 'person-card';
+            const detail = document.createElement('div');
+            detail.className = 'audit-detail';
+            detail.textContent = Object.entries(entry.detail).map(([key, value]) => `${key}: ${value}`).join(', ');
 
-            const avatar = document.createElement('img');
-            avatar.className = 'person-avatar';
-            avatar.src = this.storedImages.get(localId)?.imageDataURL || 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAiIGhlaWdodD0iNDAiIHZpZXdCb3g9IjAgMCA0MCA0MCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPGNpcmNsZSBjeD0iMjAiIGN5PSIyMCIgcj0iMjAiIGZpbGw9IiMwMGNjZmYiLz4KPHRleHQgeD0iMjAiIHk9IjI1IiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBmaWxsPSIjZmZmZmZmIiBmb250LXNpemU9IjEyIj5QRVI8L3RleHQ+Cjwvc3ZnPg==';
-            avatar.alt = `Person ${localId}`;
+            const hash = document.createElement('div');
+            hash.className = 'audit-hash';
+            hash.textContent = entry.hash;
 
-            const info = document.createElement('div');
-            info.className = 'person-info';
+            item.appendChild(header);
+            item.appendChild(detail);
+            item.appendChild(hash);
+            list.appendChild(item);
+        }
+    }
 
-            const id = document.createElement('div');
-            id.className = 'person-id';
-            id.textContent = `ID: ${localId}`;
+    // Encrypted storage
+    async loadEncryptionConfig() {
+        const transaction = this.db.transaction(['settings'], 'readonly');
+        const request = transaction.objectStore('settings').get('encryption');
 
-            const time = document.createElement('div');
-            time.className = 'person-time';
-            time.textContent = `Seen: ${Math.floor((Date.now() - person.firstSeenTimestamp) / 1000)}s ago`;
+        this.encryption = await new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
 
-            info.appendChild(id);
-            info.appendChild(time);
+    async unlockStorage() {
+        if (!this.encryption) return;
+
+        let message = 'Stored photos, clips and event logs are encrypted. Enter the admin passphrase to unlock them.';
+        while (!this.cryptoKey) {
+            const passphrase = await this.askPassphrase({ title: 'Unlock Storage', message, allowErase: true });
+            if (passphrase === PASSPHRASE_ERASE) {
+                // Anyone can reload the page, so wiping the data needs the admin PIN like Clear Storage does
+                if (confirm('Delete all encrypted events, photos and clips and turn encryption off? This cannot be undone.') &&
+                    await this.requireAdmin('erase encrypted data')) {
+                    await this.eraseEncryptedData();
+                    return;
+                }
+                continue;
+            }
 
-            card.appendChild(avatar);
-            card.appendChild(info);
+            try {
+                const key = await this.deriveKey(passphrase, this.encryption.salt, this.encryption.iterations);
+                await this.decryptBytes(this.encryption.check, key);
+                this.cryptoKey = key;
+            } catch (error) {
+                this.recordAudit('STORAGE_UNLOCK_FAILED');
+                message = 'Wrong passphrase, try again.';
+            }
+        }
+    }
+
+    askPassphrase({ title, message, allowCancel = false, allowErase = false }) {
+        // Handlers are set here rather than in setupControls: storage is unlocked before the controls exist
+        const modal = document.getElementById('passphrase-modal');
+        const input = document.getElementById('passphrase-input');
+        document.getElementById('passphrase-title').textContent = title;
+        document.getElementById('passphrase-message').textContent = message;
+        document.getElementById('passphrase-cancel').classList.toggle('hidden', !allowCancel);
+        document.getElementById('passphrase-erase').classList.toggle('hidden', !allowErase);
+        input.value = '';
+        modal.classList.add('active');
+        input.focus();
+
+        return new Promise(resolve => {
+            const finish = (value) => {
+                modal.classList.remove('active');
+                resolve(value);
+            };
+
+            document.getElementById('passphrase-form').onsubmit = (e) => {
+                e.preventDefault();
+                if (input.value) finish(input.value);
+            };
+            document.getElementById('passphrase-cancel').onclick = () => finish(null);
+            document.getElementById('passphrase-erase').onclick = () => finish(PASSPHRASE_ERASE);
+        });
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async encryptBytes(bytes, key = this.cryptoKey) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+        return { iv, data };
+    }
+
+    decryptBytes({ iv, data }, key = this.cryptoKey) {
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    }
+
+    async sealRecord(storeName, record, key = this.cryptoKey) {
+        // Without a key records are stored as they are
+        if (!key) return record;
+
+        const sealed = {};
+        const secret = {};
+        for (const [field, value] of Object.entries(record)) {
+            if (CLEAR_FIELDS[storeName].includes(field)) {
+                sealed[field] = value;
+            } else if (field !== 'blob') {
+                secret[field] = value;
+            }
+        }
 
-            grid.appendChild(card);
+        sealed.cipher = await this.encryptBytes(new TextEncoder().encode(JSON.stringify(secret)), key);
+        if (record.blob) {
+            sealed.blobCipher = { type: record.blob.type, ...(await this.encryptBytes(await record.blob.arrayBuffer(), key)) };
         }
+        return sealed;
     }
 
-    updateStatsDisplay() {
-        document.getElementById('current-count').textContent = this.stats.currentInRoom;
-        document.getElementById('total-entered').textContent = this.stats.totalEntered;
-        document.getElementById('total-left').textContent = this.stats.totalLeft;
-        document.getElementById('speech-status').textContent = this.isMuted ? 'OFF' : 'ON';
+    sealRecords(storeName, records) {
+        return Promise.all(records.map(record => this.sealRecord(storeName, record)));
+    }
 
-        // Save stats
-        this.saveStats();
+    async openRecord(record, key = this.cryptoKey) {
+        if (!record.cipher) return record;
+
+        const { cipher, blobCipher, ...clear } = record;
+        const opened = { ...JSON.parse(new TextDecoder().decode(await this.decryptBytes(cipher, key))), ...clear };
+        if (blobCipher) {
+            opened.blob = new Blob([await this.decryptBytes(blobCipher, key)], { type: blobCipher.type });
+        }
+        return opened;
     }
 
-    updateTimeline() {
-        const timeline = document.getElementById('event-timeline');
+    async setEncryptionPassphrase() {
+        const passphraseInput = document.getElementById('encryption-passphrase');
+        const confirmInput = document.getElementById('encryption-passphrase-confirm');
+        if (passphraseInput.value.length < 8) {
+            this.showNotification('The passphrase needs at least 8 characters', 'error');
+            return;
+        }
+        if (passphraseInput.value !== confirmInput.value) {
+            this.showNotification('The passphrases do not match', 'error');
+            return;
+        }
 
-        if (this.eventLog.length === 0) {
-            timeline.innerHTML = '<div class="timeline-item loading">No events yet</div>';
+        const wasEnabled = !!this.encryption;
+        try {
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            const key = await this.deriveKey(passphraseInput.value, salt, PBKDF2_ITERATIONS);
+            const check = await this.encryptBytes(new TextEncoder().encode(ENCRYPTION_CHECK_TEXT), key);
+            await this.rekeyStorage(key, { salt, iterations: PBKDF2_ITERATIONS, check });
+
+            passphraseInput.value = '';
+            confirmInput.value = '';
+            this.updateEncryptionStatus();
+            this.recordAudit(wasEnabled ? 'PASSPHRASE_CHANGED' : 'ENCRYPTION_ENABLED');
+            this.showNotification(wasEnabled ? 'Passphrase changed' : 'Storage encryption enabled', 'success');
+        } catch (error) {
+            console.error('Failed to encrypt storage:', error);
+            this.showNotification('Failed to encrypt storage: ' + error.message, 'error');
+        }
+    }
+
+    async disableEncryption() {
+        if (!this.encryption || !confirm('Decrypt all stored events, photos and clips and turn encryption off?')) {
             return;
         }
 
-        timeline.innerHTML = '';
+        try {
+            await this.rekeyStorage(null, null);
+            this.updateEncryptionStatus();
+            this.recordAudit('ENCRYPTION_DISABLED');
+            this.showNotification('Storage encryption turned off', 'success');
+        } catch (error) {
+            console.error('Failed to decrypt storage:', error);
+            this.showNotification('Failed to decrypt storage: ' + error.message, 'error');
+        }
+    }
 
-        // Show last 20 events
-        const recentEvents = this.eventLog.slice(0, 20);
+    async rekeyStorage(key, config) {
+        // Everything is read and re-sealed first, crypto calls cannot run inside an IndexedDB transaction
+        const stores = Object.keys(CLEAR_FIELDS);
+        const resealed = {};
+        for (const storeName of stores) {
+            const records = await this.getAllRecords(storeName);
+            resealed[storeName] = await Promise.all(records.map(async record =>
+                this.sealRecord(storeName, await this.openRecord(record), key)));
+        }
 
-        for (const event of recentEvents) {
-            const item = document.createElement('div');
-            item.className = `timeline-item ${event.eventType.toLowerCase()}`;
+        // Records and the new key check are written together so a failure leaves the old state intact
+        const transaction = this.db.transaction([...stores, 'settings'], 'readwrite');
+        for (const storeName of stores) {
+            resealed[storeName].forEach(record => transaction.objectStore(storeName).put(record));
+        }
+        if (config) {
+            transaction.objectStore('settings').put({ id: 'encryption', ...config });
+        } else {
+            transaction.objectStore('settings').delete('encryption');
+        }
+        await this.waitForTransaction(transaction);
 
-            const time = document.createElement('div');
-            time.className = 'timeline-time';
-            time.textContent = new Date(event.timestamp).toLocaleTimeString();
+        this.encryption = config;
+        this.cryptoKey = key;
+        // Seal or unseal the secret settings under the new key
+        await this.persistSettings();
+    }
 
-            const content = document.createElement('div');
-            content.className = 'timeline-content';
+    async sealSettings(settings, key = this.cryptoKey) {
+        // Returns the settings record to store, with SECRET_SETTINGS moved into secretCipher when a key is set
+        const record = { id: 'main', ...settings };
+        if (!key) return record;
+        const secrets = {};
+        for (const field of SECRET_SETTINGS) {
+            secrets[field] = record[field];
+            delete record[field];
+        }
+        record.secretCipher = await this.encryptBytes(new TextEncoder().encode(JSON.stringify(secrets)), key);
+        return record;
+    }
 
-            const avatar = document.createElement('img');
-            avatar.className = 'timeline-avatar';
-            avatar.src = this.storedImages.get(event.localId)?.imageDataURL || 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAiIGhlaWdodD0iNDAiIHZpZXdCb3g9IjAgMCA0MCA0MCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPGNpcmNsZSBjeD0iMjAiIGN5PSIyMCIgcj0iMjAiIGZpbGw9IiMwMGNjZmYiLz4KPHRleHQgeD0iMjAiIHk9IjI1IiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBmaWxsPSIjZmZmZmZmIiBmb250LXNpemU9IjEyIj5QRVI8L3RleHQ+Cjwvc3ZnPg==';
-            avatar.alt = `Person ${event.localId}`;
+    async openSealedSettings() {
+        if (!this.sealedSettings || !this.cryptoKey) return;
+        try {
+            const secrets = JSON.parse(new TextDecoder().decode(await this.decryptBytes(this.sealedSettings)));
+            Object.assign(this.settings, secrets);
+            this.applySettingsToUI();
+        } catch (error) {
+            console.error('Failed to decrypt settings:', error);
+        }
+        this.sealedSettings = null;
+    }
 
-            const text = document.createElement('div');
-            text.className = 'timeline-text';
-            text.textContent = `Person ${event.localId} ${event.eventType === 'ENTRY' ? 'entered' : 'left'} the room`;
+    async eraseEncryptedData() {
+        const transaction = this.db.transaction(['events', 'images', 'clips', 'settings'], 'readwrite');
+        ['events', 'images', 'clips'].forEach(storeName => transaction.objectStore(storeName).clear());
+        transaction.objectStore('settings').delete('encryption');
+        await this.waitForTransaction(transaction);
+
+        this.encryption = null;
+        this.cryptoKey = null;
+        // The sealed secrets went with the key, drop them from the settings record too
+        this.sealedSettings = null;
+        await this.persistSettings();
+        this.recordAudit('ENCRYPTED_DATA_ERASED');
+    }
 
-            content.appendChild(avatar);
-            content.appendChild(text);
+    updateEncryptionStatus() {
+        const status = document.getElementById('encryption-status');
+        status.textContent = this.encryption
+            ? 'On: photos, clips and event details are encrypted with AES-GCM. Event times and types stay readable for indexing.'
+            : 'Off: stored data can be read by anyone with access to this browser profile.';
+        status.classList.toggle('on', !!this.encryption);
+        document.getElementById('encryption-enable').textContent = this.encryption ? 'Change Passphrase' : 'Enable Encryption';
+        document.getElementById('encryption-disable').classList.toggle('hidden', !this.encryption);
+    }
 
-            item.appendChild(time);
-            item.appendChild(content);
+    async downloadExport(blob, filename) {
+        // With encryption on, exports are sealed with the storage key and carry the salt needed to re-derive it
+        if (!this.cryptoKey) {
+            this.downloadBlob(blob, filename);
+            return;
+        }
 
-            timeline.appendChild(item);
+        const { iv, data } = await this.encryptBytes(await blob.arrayBuffer());
+        const envelope = {
+            format: 'smartroom-encrypted',
+            version: 1,
+            filename,
+            mimeType: blob.type,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: this.encryption.iterations, salt: this.bytesToBase64(this.encryption.salt) },
+            cipher: { name: 'AES-GCM', iv: this.bytesToBase64(iv) },
+            data: this.bytesToBase64(new Uint8Array(data))
+        };
+        this.downloadBlob(new Blob([JSON.stringify(envelope)], { type: 'application/json' }), `${filename}.encrypted.json`);
+    }
+
+    async decryptExport(envelope) {
+        // Resolves with the decrypted text, or null when the passphrase prompt is cancelled
+        const salt = this.base64ToBytes(envelope.kdf.salt);
+        const encrypted = { iv: this.base64ToBytes(envelope.cipher.iv), data: this.base64ToBytes(envelope.data) };
+        let key = this.cryptoKey && this.bytesToBase64(this.encryption.salt) === envelope.kdf.salt ? this.cryptoKey : null;
+        let message = `${envelope.filename} is encrypted. Enter the passphrase it was exported with.`;
+
+        for (;;) {
+            if (!key) {
+                const passphrase = await this.askPassphrase({ title: 'Decrypt Import', message, allowCancel: true });
+                if (passphrase === null) return null;
+                key = await this.deriveKey(passphrase, salt, envelope.kdf.iterations);
+            }
+            try {
+                return new TextDecoder().decode(await this.decryptBytes(encrypted, key));
+            } catch (error) {
+                key = null;
+                message = 'Wrong passphrase, try again.';
+            }
         }
     }
 
-    // Storage methods
-    async saveImage(imageData) {
+    bytesToBase64(bytes) {
+        // In chunks, spreading a whole export into fromCharCode overflows the stack
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    base64ToBytes(base64) {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    async queryEvents({ from = 0, to = Date.now(), type = null, types = null, decrypt = true } = {}) {
+        // Range query over the timestamp index, returned in ascending time order. Types are matched
+        // before records are decrypted, event types are stored in the clear; without decrypt only the
+        // clear fields are usable
         try {
-            const transaction = this.db.transaction(['images'], 'readwrite');
-            const store = transaction.objectStore('images');
-            await store.put(imageData);
+            const transaction = this.db.transaction(['events'], 'readonly');
+            const index = transaction.objectStore('events').index('timestamp');
+            const request = index.getAll(IDBKeyRange.bound(from, to));
+
+            return await new Promise((resolve, reject) => {
+                request.onerror = () => reject(request.error);
+                request.onsuccess = () => {
+                    const wanted = types || (type ? [type] : null);
+                    const events = wanted ? request.result.filter(event => wanted.includes(event.eventType)) : request.result;
+                    if (!decrypt) {
+                        resolve(events);
+                        return;
+                    }
+                    Promise.all(events.map(event => this.openRecord(event))).then(resolve, reject);
+                };
+            });
         } catch (error) {
-            console.error('Failed to save image:', error);
+            console.error('Failed to query events:', error);
+            return [];
         }
     }
 
     async saveEvent(event) {
+        // Resolves with the generated event id so clips can link to it
         try {
+            const record = await this.sealRecord('events', event);
             const transaction = this.db.transaction(['events'], 'readwrite');
-            const store = transaction.objectStore('events');
-            await store.add(event);
+            const request = transaction.objectStore('events').add(record);
+
+            return await new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
         } catch (error) {
             console.error('Failed to save event:', error);
+            return undefined;
         }
     }
 
@@ -955,33 +5070,43 @@ class SmartRoomVision {
         try {
             const transaction = this.db.transaction(['stats'], 'readwrite');
             const store = transaction.objectStore('stats');
-            await store.put({ id: 'main', ...this.stats });
+            await store.put({ id: 'main', ...this.stats, nextLocalId: this.nextLocalId });
         } catch (error) {
             console.error('Failed to save stats:', error);
         }
     }
 
-    async saveSettings() {
+    async persistSettings() {
         try {
+            const settings = { ...this.settings };
+            // A replay script picked from a file only lives in memory, so don't come back to it after a reload
+            if (settings.detectorBackend === 'replay' && !settings.detectorModelUrl) {
+                settings.detectorBackend = this.getDefaultSettings().detectorBackend;
+            }
+            const record = await this.sealSettings(settings);
             const transaction = this.db.transaction(['settings'], 'readwrite');
-            const store = transaction.objectStore('settings');
-            await store.put({ id: 'main', ...this.settings });
+            await transaction.objectStore('settings').put(record);
         } catch (error) {
             console.error('Failed to save settings:', error);
         }
     }
 
     // UI Management
-    showSettingsModal() {
+    async showSettingsModal() {
+        if (!await this.requireAdmin('open Settings')) return;
+        this.recordAudit('SETTINGS_OPENED');
         document.getElementById('settings-modal').classList.add('active');
         this.applySettingsToUI();
+        this.updateRulesDisplay();
     }
 
     hideSettingsModal() {
         document.getElementById('settings-modal').classList.remove('active');
     }
 
-    showAdminModal() {
+    async showAdminModal() {
+        if (!await this.requireAdmin('open the Admin panel')) return;
+        this.recordAudit('ADMIN_OPENED');
         document.getElementById('admin-modal').classList.add('active');
         this.updateStoredImagesDisplay();
     }
@@ -1005,9 +5130,14 @@ class SmartRoomVision {
         if (tabName === 'images') {
             this.updateStoredImagesDisplay();
         } else if (tabName === 'logs') {
+            this.updateLogTypeFilter();
             this.updateLogsDisplay();
         } else if (tabName === 'statistics') {
             this.updateStatisticsDisplay();
+        } else if (tabName === 'history') {
+            this.loadHistoryDay();
+        } else if (tabName === 'audit') {
+            this.updateAuditDisplay();
         }
     }
 
@@ -1015,32 +5145,156 @@ class SmartRoomVision {
         document.getElementById('tracker-timeout').value = this.settings.trackerTimeoutSeconds;
         document.getElementById('reappear-threshold').value = this.settings.reappearThresholdSeconds;
         document.getElementById('max-storage').value = this.settings.maxStorageItems;
+        document.getElementById('retention-days').value = this.settings.retentionDays;
+        document.getElementById('max-storage-mb').value = this.settings.maxStorageMB;
+        document.getElementById('admin-lock-minutes').value = this.settings.adminLockMinutes;
         document.getElementById('detection-throttle').value = this.settings.detectionThrottleMs;
         document.getElementById('auto-export').checked = this.settings.autoExport;
         document.getElementById('face-blur').checked = this.settings.faceBlur;
+        document.getElementById('face-blur-style').value = this.settings.faceBlurStyle;
+        document.getElementById('background-effect').value = this.settings.backgroundEffect;
+        document.getElementById('background-color').value = this.settings.backgroundColor;
+        document.getElementById('mqtt-enabled').checked = this.settings.mqttEnabled;
+        document.getElementById('mqtt-url').value = this.settings.mqttUrl;
+        document.getElementById('mqtt-username').value = this.settings.mqttUsername;
+        document.getElementById('mqtt-password').value = this.settings.mqttPassword;
+        document.getElementById('mqtt-topic-prefix').value = this.settings.mqttTopicPrefix;
+        document.getElementById('mqtt-event-topic').value = this.settings.mqttEventTopic;
+        document.getElementById('mqtt-occupancy-topic').value = this.settings.mqttOccupancyTopic;
+        document.getElementById('mqtt-status-topic').value = this.settings.mqttStatusTopic;
+        document.getElementById('mqtt-event-payload').value = this.settings.mqttEventPayload;
+        document.getElementById('mqtt-occupancy-payload').value = this.settings.mqttOccupancyPayload;
+        document.getElementById('detector-backend').value = this.settings.detectorBackend;
+        document.getElementById('detector-model-url').value = this.settings.detectorModelUrl;
+        document.getElementById('use-worker').checked = this.settings.useWorker;
+        document.getElementById('video-frame-rate').value = this.settings.videoFrameRate;
+        document.getElementById('min-hits').value = this.settings.minHitsForEntry;
+        document.getElementById('counting-mode').value = this.settings.countingMode;
+        document.getElementById('reid-similarity').value = this.settings.reidSimilarity;
+        document.getElementById('motion-sensitivity').value = this.settings.motionSensitivity;
+        document.getElementById('motion-idle-interval').value = this.settings.motionIdleIntervalMs;
+        document.getElementById('motion-gating').checked = this.settings.motionGating;
+        document.getElementById('clips-enabled').checked = this.settings.clipsEnabled;
+        document.getElementById('clip-pre-roll').value = this.settings.clipPreRollSeconds;
+        document.getElementById('clip-post-roll').value = this.settings.clipPostRollSeconds;
+        document.getElementById('clip-include-overlay').checked = this.settings.clipIncludeOverlay;
+        document.getElementById('summary-enabled').checked = this.settings.summaryEnabled;
+        document.getElementById('summary-interval').value = this.settings.summaryIntervalMinutes;
+        document.getElementById('summary-day-end').value = this.settings.summaryDayEnd;
+        this.populateVoiceOptions(this.settings.announceLang, this.settings.announceVoice);
+        document.getElementById('announce-rate').value = this.settings.announceRate;
+        document.getElementById('announce-entry-template').value = this.settings.announceEntryTemplate;
+        document.getElementById('announce-exit-template').value = this.settings.announceExitTemplate;
+        document.getElementById('announce-burst-entry-template').value = this.settings.announceBurstEntryTemplate;
+        document.getElementById('announce-burst-exit-template').value = this.settings.announceBurstExitTemplate;
+        document.getElementById('announce-coalesce').value = this.settings.announceCoalesceMs;
+        document.getElementById('quiet-hours-enabled').checked = this.settings.quietHoursEnabled;
+        document.getElementById('quiet-hours-from').value = this.settings.quietHoursFrom;
+        document.getElementById('quiet-hours-to').value = this.settings.quietHoursTo;
     }
 
     async saveSettings() {
+        const previous = { ...this.settings };
         this.settings.trackerTimeoutSeconds = parseInt(document.getElementById('tracker-timeout').value);
         this.settings.reappearThresholdSeconds = parseInt(document.getElementById('reappear-threshold').value);
         this.settings.maxStorageItems = parseInt(document.getElementById('max-storage').value);
+        this.settings.retentionDays = Math.max(0, parseInt(document.getElementById('retention-days').value) || 0);
+        this.settings.maxStorageMB = Math.max(0, parseInt(document.getElementById('max-storage-mb').value) || 0);
+        this.settings.adminLockMinutes = Math.min(120, Math.max(1, parseInt(document.getElementById('admin-lock-minutes').value) || 5));
         this.settings.detectionThrottleMs = parseInt(document.getElementById('detection-throttle').value);
         this.settings.autoExport = document.getElementById('auto-export').checked;
         this.settings.faceBlur = document.getElementById('face-blur').checked;
-
-        await this.saveSettings();
+        this.settings.faceBlurStyle = document.getElementById('face-blur-style').value;
+        this.settings.backgroundEffect = document.getElementById('background-effect').value;
+        this.settings.backgroundColor = document.getElementById('background-color').value;
+
+        this.settings.mqttEnabled = document.getElementById('mqtt-enabled').checked;
+        this.settings.mqttUrl = document.getElementById('mqtt-url').value.trim();
+        this.settings.mqttUsername = document.getElementById('mqtt-username').value.trim();
+        this.settings.mqttPassword = document.getElementById('mqtt-password').value;
+        this.settings.mqttTopicPrefix = document.getElementById('mqtt-topic-prefix').value.trim();
+        this.settings.mqttEventTopic = document.getElementById('mqtt-event-topic').value.trim();
+        this.settings.mqttOccupancyTopic = document.getElementById('mqtt-occupancy-topic').value.trim();
+        this.settings.mqttStatusTopic = document.getElementById('mqtt-status-topic').value.trim();
+        this.settings.mqttEventPayload = document.getElementById('mqtt-event-payload').value.trim();
+        this.settings.mqttOccupancyPayload = document.getElementById('mqtt-occupancy-payload').value.trim();
+        this.validateMqttPayloads();
+        this.settings.videoFrameRate = parseInt(document.getElementById('video-frame-rate').value) || 30;
+        this.settings.minHitsForEntry = Math.max(1, parseInt(document.getElementById('min-hits').value) || 1);
+        this.settings.reidSimilarity = Math.min(0.99, Math.max(0.5, parseFloat(document.getElementById('reid-similarity').value) || 0.8));
+        this.settings.motionSensitivity = Math.min(100, Math.max(1, parseInt(document.getElementById('motion-sensitivity').value) || 50));
+        this.settings.motionIdleIntervalMs = Math.max(500, parseInt(document.getElementById('motion-idle-interval').value) || 5000);
+        this.settings.motionGating = document.getElementById('motion-gating').checked;
+
+        this.settings.clipsEnabled = document.getElementById('clips-enabled').checked;
+        this.settings.clipPreRollSeconds = Math.min(30, Math.max(1, parseInt(document.getElementById('clip-pre-roll').value) || 5));
+        this.settings.clipPostRollSeconds = Math.min(60, Math.max(1, parseInt(document.getElementById('clip-post-roll').value) || 10));
+        this.settings.clipIncludeOverlay = document.getElementById('clip-include-overlay').checked;
+
+        this.settings.summaryEnabled = document.getElementById('summary-enabled').checked;
+        this.settings.summaryIntervalMinutes = Math.min(720, Math.max(5, parseInt(document.getElementById('summary-interval').value) || 60));
+        this.settings.summaryDayEnd = document.getElementById('summary-day-end').value || '20:00';
+        Object.assign(this.settings, this.readAnnouncementSettings());
+
+        this.settings.countingMode = document.getElementById('counting-mode').value;
+        this.promptForTripwire();
+
+        this.settings.detectorBackend = document.getElementById('detector-backend').value;
+        this.settings.detectorModelUrl = document.getElementById('detector-model-url').value.trim();
+        this.settings.useWorker = document.getElementById('use-worker').checked;
+
+        await this.persistSettings();
         this.hideSettingsModal();
+        this.updateAdminLockDisplay();
+        this.recordAudit('SETTINGS_SAVED');
         this.showNotification('Settings saved successfully', 'success');
+        this.enforceRetention();
+
+        const replayFileChanged = this.settings.detectorBackend === 'replay' && this.replayScript !== this.loadedReplayScript;
+        await this.applySettingsChanges(previous, replayFileChanged);
+    }
+
+    async applySettingsChanges(previous, reloadDetector = false) {
+        // Restarts whatever runs on settings that differ from `previous`: shared by Save and replace imports
+        const changed = keys => keys.some(key => this.settings[key] !== previous[key]);
+
+        if (changed(['mqttEnabled', 'mqttUrl', 'mqttUsername', 'mqttPassword', 'mqttTopicPrefix', 'mqttStatusTopic'])) {
+            this.connectMqtt();
+        }
+        if (changed(['clipsEnabled', 'clipPreRollSeconds', 'clipIncludeOverlay'])) {
+            for (const pipeline of this.cameraPipelines.values()) {
+                if (pipeline.video.videoWidth) {
+                    this.startClipRecorder(pipeline);
+                }
+            }
+        }
+        if (changed(['summaryIntervalMinutes'])) {
+            this.startSummaryTimer();
+        }
+        if (changed(['motionMask'])) {
+            this.updateMotionMask();
+        }
+        if (changed(['countingMode'])) {
+            // Occupancy means something different in each mode, so start counting afresh
+            this.resetTracking();
+        }
+        if (changed(['tripwires', 'zones'])) {
+            this.updateZonesDisplay();
+        }
+        if (reloadDetector || changed(['detectorBackend', 'detectorModelUrl', 'useWorker'])) {
+            await this.switchDetector();
+        }
     }
 
     resetSettings() {
+        // Lines, zones, the motion mask and Live Controls toggles are not edited here, so keep them
         this.settings = {
-            trackerTimeoutSeconds: 5,
-            reappearThresholdSeconds: 10,
-            maxStorageItems: 200,
-            detectionThrottleMs: 200,
-            autoExport: true,
-            faceBlur: true
+            ...this.getDefaultSettings(),
+            tripwires: this.settings.tripwires,
+            zones: this.settings.zones,
+            motionMask: this.settings.motionMask,
+            privacyMode: this.settings.privacyMode,
+            backgroundEnabled: this.settings.backgroundEnabled
         };
         this.applySettingsToUI();
     }
@@ -1061,7 +5315,7 @@ class SmartRoomVision {
 
             const thumbnail = document.createElement('img');
             thumbnail.className = 'image-thumbnail';
-            thumbnail.src = imageData.imageDataURL;
+            thumbnail.src = imageData.url;
             thumbnail.alt = `Person ${localId}`;
 
             const info = document.createElement('div');
@@ -1075,57 +5329,605 @@ class SmartRoomVision {
             time.className = 'image-time';
             time.textContent = new Date(imageData.firstSeenTimestamp).toLocaleTimeString();
 
-            info.appendChild(id);
-            info.appendChild(time);
+            info.appendChild(id);
+            info.appendChild(time);
+
+            item.appendChild(thumbnail);
+            item.appendChild(info);
+
+            // Add click handler for full-size view
+            item.addEventListener('click', () => {
+                this.showFullImage(imageData);
+            });
+
+            grid.appendChild(item);
+        }
+    }
+
+    getLogFilters() {
+        const fromValue = document.getElementById('logs-from').value;
+        const toValue = document.getElementById('logs-to').value;
+        const personIds = document.getElementById('logs-person').value
+            .split(',')
+            .map(id => parseInt(id.trim()))
+            .filter(id => !isNaN(id));
+
+        return {
+            from: fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : null,
+            to: toValue ? new Date(`${toValue}T23:59:59.999`).getTime() : null,
+            type: document.getElementById('logs-type').value || null,
+            personIds: personIds.length > 0 ? new Set(personIds) : null
+        };
+    }
+
+    scheduleLogsRefresh() {
+        // A busy zone logs several events a second, each refresh re-reads the whole filtered range
+        if (this.logView.refreshTimer) return;
+        this.logView.refreshTimer = setTimeout(() => {
+            this.logView.refreshTimer = null;
+            this.updateLogsDisplay();
+        }, LOG_REFRESH_MS);
+    }
+
+    isLogsTabVisible() {
+        const logsTab = document.querySelector('.admin-tab-content[data-tab="logs"]');
+        return document.getElementById('admin-modal').classList.contains('active') && logsTab.classList.contains('active');
+    }
+
+    async queryEventTypes() {
+        // Every type ever logged, one key per type from the type index (ascending)
+        const transaction = this.db.transaction(['events'], 'readonly');
+        const request = transaction.objectStore('events').index('type').openKeyCursor(null, 'nextunique');
+        const types = [];
+
+        await new Promise((resolve, reject) => {
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                types.push(cursor.key);
+                cursor.continue();
+            };
+        });
+        return types;
+    }
+
+    async updateLogTypeFilter() {
+        if (!this.isLogsTabVisible()) return;
+
+        const typeSelect = document.getElementById('logs-type');
+        let types;
+        try {
+            types = await this.queryEventTypes();
+        } catch (error) {
+            console.error('Failed to list event types:', error);
+            return;
+        }
+
+        const selectedType = typeSelect.value;
+        typeSelect.innerHTML = '<option value="">All types</option>';
+        for (const type of types) {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type;
+            typeSelect.appendChild(option);
+        }
+        typeSelect.value = types.includes(selectedType) ? selectedType : '';
+    }
+
+    async queryLogRecords({ from, to, type }) {
+        // Raw records, newest first. Time and type stay readable in encrypted records, so filtering on them
+        // needs no decryption
+        const transaction = this.db.transaction(['events'], 'readonly');
+        const store = transaction.objectStore('events');
+        const request = type && from === null && to === null
+            ? store.index('type').getAll(IDBKeyRange.only(type))
+            : store.index('timestamp').getAll(IDBKeyRange.bound(from ?? 0, to ?? Number.MAX_SAFE_INTEGER));
+
+        const records = await new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return records
+            .filter(record => !type || record.eventType === type)
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    async updateLogsDisplay() {
+        // Re-queried on every new event while visible (see logEvent); only the rows in view are decrypted
+        // and rendered
+        if (!this.isLogsTabVisible()) return;
+
+        const filters = this.getLogFilters();
+        try {
+            let records = await this.queryLogRecords(filters);
+            const opened = new Map();
+            if (filters.personIds) {
+                // Person IDs may be encrypted, so this filter has to open every record in range
+                const events = await Promise.all(records.map(record => this.openRecord(record)));
+                records = events.filter(event => filters.personIds.has(event.localId));
+                records.forEach(event => opened.set(event.id, event));
+            }
+            this.logView.records = records;
+            this.logView.opened = opened;
+        } catch (error) {
+            console.error('Failed to query event logs:', error);
+            this.showNotification('Failed to load event logs', 'error');
+            return;
+        }
+
+        const count = this.logView.records.length;
+        document.getElementById('logs-count').textContent = `${count} event${count === 1 ? '' : 's'}`;
+        document.getElementById('logs-empty').classList.toggle('hidden', count > 0);
+        document.getElementById('logs-spacer').style.height = `${count * LOG_ROW_HEIGHT}px`;
+        await this.renderLogRows();
+    }
+
+    scheduleLogRowsRender() {
+        if (this.logView.frame) return;
+        this.logView.frame = requestAnimationFrame(() => {
+            this.logView.frame = null;
+            this.renderLogRows();
+        });
+    }
+
+    async renderLogRows() {
+        const list = document.getElementById('logs-list');
+        const { records } = this.logView;
+        const first = Math.max(0, Math.floor(list.scrollTop / LOG_ROW_HEIGHT) - LOG_OVERSCAN_ROWS);
+        const last = Math.min(records.length, Math.ceil((list.scrollTop + list.clientHeight) / LOG_ROW_HEIGHT) + LOG_OVERSCAN_ROWS);
+
+        const renderId = ++this.logView.renderId;
+        const events = await Promise.all(records.slice(first, last).map(async record => {
+            if (!this.logView.opened.has(record.id)) {
+                this.logView.opened.set(record.id, await this.openRecord(record));
+            }
+            return this.logView.opened.get(record.id);
+        }));
+        // A later scroll or query already rendered newer rows
+        if (renderId !== this.logView.renderId) return;
+
+        const spacer = document.getElementById('logs-spacer');
+        spacer.innerHTML = '';
+        events.forEach((event, i) => {
+            const item = this.createLogItem(event);
+            item.style.top = `${(first + i) * LOG_ROW_HEIGHT}px`;
+            item.classList.toggle('selected', event.id === this.logView.selectedId);
+            item.addEventListener('click', () => this.showLogDrawer(event));
+            spacer.appendChild(item);
+        });
+    }
+
+    createLogItem(event) {
+        const item = document.createElement('div');
+        item.className = 'log-item';
+
+        const time = document.createElement('div');
+        time.className = 'log-time';
+        time.textContent = new Date(event.timestamp).toLocaleString();
+
+        const content = document.createElement('div');
+        content.className = 'log-content';
+        content.textContent = this.describeEvent(event);
+
+        item.appendChild(time);
+        item.appendChild(content);
+
+        if (this.clipEventIds.has(event.id)) {
+            const playButton = document.createElement('button');
+            playButton.className = 'btn-small log-clip';
+            playButton.textContent = '▶ Clip';
+            playButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.playEventClip(event);
+            });
+            item.appendChild(playButton);
+        }
+
+        return item;
+    }
+
+    showLogDrawer(event) {
+        this.logView.selectedId = event.id;
+        this.renderLogRows();
+
+        const hasPerson = event.localId !== null && event.localId !== undefined;
+        document.getElementById('log-drawer-title').textContent = hasPerson ? `Person ${event.localId}` : event.eventType;
+
+        const photo = document.getElementById('log-drawer-photo');
+        const image = hasPerson ? this.storedImages.get(event.localId) : null;
+        photo.classList.toggle('hidden', !image);
+        photo.src = image ? image.url : '';
+        photo.alt = hasPerson ? `Person ${event.localId}` : '';
+
+        // Every stored field of the selected event
+        const fields = document.getElementById('log-drawer-fields');
+        fields.innerHTML = '';
+        for (const [key, value] of Object.entries(event)) {
+            if (value === undefined || value === null || value === '') continue;
+            const term = document.createElement('dt');
+            term.textContent = key;
+            const description = document.createElement('dd');
+            description.textContent = key === 'timestamp' ? new Date(value).toLocaleString() :
+                (typeof value === 'object' ? JSON.stringify(value) : String(value));
+            fields.appendChild(term);
+            fields.appendChild(description);
+        }
+
+        // All events of the same person, oldest first
+        const history = document.getElementById('log-drawer-history');
+        const personEvents = hasPerson
+            ? this.eventLog.filter(other => other.localId === event.localId).sort((a, b) => a.timestamp - b.timestamp)
+            : [];
+        document.getElementById('log-drawer-history-title').classList.toggle('hidden', !hasPerson);
+        document.getElementById('log-drawer-history-title').textContent = `All events of this person (${personEvents.length})`;
+        history.innerHTML = '';
+        for (const other of personEvents) {
+            const item = this.createLogItem(other);
+            item.classList.toggle('selected', other.id === event.id);
+            item.addEventListener('click', () => this.showLogDrawer(other));
+            history.appendChild(item);
+        }
+
+        document.getElementById('log-drawer').classList.remove('hidden');
+    }
+
+    hideLogDrawer() {
+        this.logView.selectedId = null;
+        document.getElementById('log-drawer').classList.add('hidden');
+        this.renderLogRows();
+    }
+
+    async loadHistoryDay() {
+        const dateInput = document.getElementById('history-date');
+        if (!dateInput.value) {
+            dateInput.value = this.toDateInputValue(new Date());
+        }
+
+        const from = new Date(`${dateInput.value}T00:00:00`).getTime();
+        const to = Math.min(new Date(`${dateInput.value}T23:59:59.999`).getTime(), Date.now());
+        if (to < from) {
+            this.showNotification('That day is still in the future', 'warning');
+            return;
+        }
+
+        // Everything before the day is replayed too, so people who stayed overnight are still present
+        const events = await this.queryEvents({ from: 0, to, types: ['ENTRY', 'EXIT'] });
+        const isToday = dateInput.value === this.toDateInputValue(new Date());
+        this.historyView = {
+            events,
+            series: this.computeOccupancySeries(events),
+            from,
+            to,
+            time: isToday ? to : Math.min(to, from + 12 * 60 * 60 * 1000)
+        };
+
+        const scrubber = document.getElementById('history-scrubber');
+        scrubber.min = from;
+        scrubber.max = to;
+        this.setHistoryTime(this.historyView.time);
+    }
+
+    setHistoryTime(time) {
+        const view = this.historyView;
+        view.time = Math.min(view.to, Math.max(view.from, time));
+        document.getElementById('history-scrubber').value = view.time;
+        this.renderHistory();
+    }
+
+    stepHistoryEvent(direction) {
+        // Jumps to the previous or next ENTRY/EXIT within the day
+        const { events, from, to, time } = this.historyView;
+        const candidates = events.filter(event => event.timestamp >= from && event.timestamp <= to);
+        const target = direction < 0
+            ? candidates.filter(event => event.timestamp < time).pop()
+            : candidates.find(event => event.timestamp > time);
+
+        if (target) {
+            this.setHistoryTime(target.timestamp);
+        } else {
+            this.showNotification(direction < 0 ? 'No earlier event that day' : 'No later event that day', 'info');
+        }
+    }
+
+    reconstructRoomState(events, time) {
+        // Replays ENTRY/EXIT events (ascending) up to the instant; maps each person present (localIds are
+        // unique across page loads) to their ENTRY. Nobody logs an EXIT for people inside when the page
+        // was closed or their camera removed, so presence does not outlive the page load that saw the
+        // ENTRY, ends when the room count reaches zero, and never lists more people than the count
+        // (the oldest entries go first)
+        const present = new Map();
+        let count = 0;
+        let runId;
+        for (const event of events) {
+            if (event.timestamp > time) break;
+            if (event.eventType !== 'ENTRY' && event.eventType !== 'EXIT') continue;
+
+            if (event.runId !== runId) {
+                present.clear();
+                runId = event.runId;
+            }
+            if (event.eventType === 'ENTRY') {
+                count++;
+                present.set(event.localId, event);
+            } else {
+                count = Math.max(0, count - 1);
+                present.delete(event.localId);
+            }
+            while (present.size > count) {
+                present.delete(present.keys().next().value);
+            }
+        }
+        return present;
+    }
+
+    renderHistory() {
+        const { events, series, from, to, time } = this.historyView;
+        const present = this.reconstructRoomState(events, time);
+        const occupancy = series.filter(point => point.timestamp <= time).pop()?.count || 0;
+
+        document.getElementById('history-time').textContent = new Date(time).toLocaleString();
+        document.getElementById('history-occupancy').textContent = occupancy;
+        this.drawOccupancyChart(document.getElementById('history-chart'), series, from, to, time);
+
+        const list = document.getElementById('history-people');
+        if (present.size === 0) {
+            list.innerHTML = occupancy > 0 ?
+                '<div class="no-images">Who was inside is not known (they entered before the app was restarted)</div>' :
+                '<div class="no-images">Nobody was in the room</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        for (const [localId, entry] of present) {
+            const item = document.createElement('div');
+            item.className = 'image-item';
+
+            const image = this.storedImages.get(localId);
+            const thumbnail = document.createElement(image ? 'img' : 'div');
+            thumbnail.className = image ? 'image-thumbnail' : 'image-thumbnail image-missing';
+            if (image) {
+                thumbnail.src = image.url;
+                thumbnail.alt = `Person ${localId}`;
+            } else {
+                thumbnail.textContent = '👤';
+            }
+
+            const info = document.createElement('div');
+            info.className = 'image-info';
+            const id = document.createElement('div');
+            id.className = 'image-id';
+            id.textContent = `ID: ${localId}`;
+            const since = document.createElement('div');
+            since.className = 'image-time';
+            const camera = entry.cameraName ? ` · ${entry.cameraName}` : '';
+            since.textContent = `since ${new Date(entry.timestamp).toLocaleString()}${camera}`;
+            info.appendChild(id);
+            info.appendChild(since);
+
+            item.appendChild(thumbnail);
+            item.appendChild(info);
+            if (image) {
+                item.addEventListener('click', () => this.showFullImage(image));
+            }
+            list.appendChild(item);
+        }
+    }
+
+    getStatisticsRange() {
+        const fromInput = document.getElementById('stats-from');
+        const toInput = document.getElementById('stats-to');
+
+        // Default to the last 7 days
+        if (!fromInput.value || !toInput.value) {
+            const today = new Date();
+            const weekAgo = new Date(today.getTime() - 6 * 24 * 60 * 60 * 1000);
+            fromInput.value = this.toDateInputValue(weekAgo);
+            toInput.value = this.toDateInputValue(today);
+        }
+
+        const from = new Date(`${fromInput.value}T00:00:00`).getTime();
+        const to = new Date(`${toInput.value}T23:59:59.999`).getTime();
+        return { from, to };
+    }
+
+    toDateInputValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    async updateStatisticsDisplay() {
+        const { from, to } = this.getStatisticsRange();
+        if (from > to) {
+            this.showNotification('Statistics range start must be before its end', 'warning');
+            return;
+        }
+
+        const events = await this.queryEvents({ from, to });
+        const visits = this.computeVisits(events).filter(visit => visit.exitTime !== null);
+        const durations = visits.map(visit => visit.durationMs).sort((a, b) => a - b);
+
+        // Start from the people already inside when the range begins
+        const carried = await this.getOccupancyBefore(from);
+        const occupancy = [{ timestamp: from, count: carried }, ...this.computeOccupancySeries(events, carried)];
+
+        const sessions = occupancy.filter((point, i) =>
+            point.count > 0 && (i === 0 || occupancy[i - 1].count === 0)
+        ).length;
+        const peak = occupancy.reduce((max, point) => Math.max(max, point.count), 0);
+        const average = durations.length ? durations.reduce((sum, d) => sum + d, 0) / durations.length : 0;
+        const median = durations.length === 0 ? 0 :
+            durations.length % 2 === 1 ? durations[(durations.length - 1) / 2] :
+                (durations[durations.length / 2 - 1] + durations[durations.length / 2]) / 2;
+        const max = durations.length ? durations[durations.length - 1] : 0;
+
+        document.getElementById('total-sessions').textContent = sessions;
+        document.getElementById('peak-occupancy').textContent = peak;
+        document.getElementById('avg-stay-time').textContent = durations.length ? this.formatDuration(average) : '–';
+        document.getElementById('median-stay-time').textContent = durations.length ? this.formatDuration(median) : '–';
+        document.getElementById('max-stay-time').textContent = durations.length ? this.formatDuration(max) : '–';
+        this.updateStorageEstimate();
+
+        // Entries by hour of day and by weekday
+        const entries = events.filter(event => event.eventType === 'ENTRY');
+        const hourly = new Array(24).fill(0);
+        const weekdays = new Array(7).fill(0);
+        for (const event of entries) {
+            const date = new Date(event.timestamp);
+            hourly[date.getHours()]++;
+            weekdays[(date.getDay() + 6) % 7]++; // Monday first
+        }
+
+        this.drawBarChart(document.getElementById('chart-hourly'),
+            hourly.map((_, hour) => String(hour)), hourly, '#00ffff');
+        this.drawBarChart(document.getElementById('chart-weekday'),
+            ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'], weekdays, '#ff00ff');
+        this.drawOccupancyChart(document.getElementById('chart-occupancy'), occupancy, from, Math.min(to, Date.now()));
+    }
+
+    computeVisits(events) {
+        // Pair each ENTRY with the next EXIT of the same person; events must be in ascending time order
+        const openVisits = new Map();
+        const visits = [];
+
+        for (const event of events) {
+            if (event.eventType === 'ENTRY') {
+                const visit = { localId: event.localId, entryTime: event.timestamp, exitTime: null, durationMs: null };
+                openVisits.set(event.localId, visit);
+                visits.push(visit);
+            } else if (event.eventType === 'EXIT' && openVisits.has(event.localId)) {
+                const visit = openVisits.get(event.localId);
+                visit.exitTime = event.timestamp;
+                visit.durationMs = event.timestamp - visit.entryTime;
+                openVisits.delete(event.localId);
+            }
+        }
 
-            item.appendChild(thumbnail);
-            item.appendChild(info);
+        return visits;
+    }
 
-            // Add click handler for full-size view
-            item.addEventListener('click', () => {
-                this.showFullImage(imageData);
-            });
+    async getOccupancyBefore(time) {
+        // Only event types and times are needed, so nothing is decrypted
+        const events = await this.queryEvents({ from: 0, to: time - 1, types: ['ENTRY', 'EXIT'], decrypt: false });
+        return this.computeOccupancySeries(events).pop()?.count || 0;
+    }
 
-            grid.appendChild(item);
+    computeOccupancySeries(events, initialCount = 0) {
+        // Step series of room occupancy after every ENTRY/EXIT; events must be in ascending time order
+        const series = [];
+        let count = initialCount;
+
+        for (const event of events) {
+            if (event.eventType === 'ENTRY') {
+                count++;
+            } else if (event.eventType === 'EXIT') {
+                count = Math.max(0, count - 1);
+            } else {
+                continue;
+            }
+            series.push({ timestamp: event.timestamp, count });
         }
+
+        return series;
     }
 
-    updateLogsDisplay() {
-        const list = document.getElementById('logs-list');
+    prepareChartCanvas(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || 600;
+        const height = canvas.clientHeight || 160;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
 
-        if (this.eventLog.length === 0) {
-            list.innerHTML = '<div class="no-logs">No events logged yet</div>';
-            return;
-        }
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '11px Arial';
+        return { ctx, width, height };
+    }
 
-        list.innerHTML = '';
+    drawBarChart(canvas, labels, values, color) {
+        const { ctx, width, height } = this.prepareChartCanvas(canvas);
+        const padding = { top: 16, right: 8, bottom: 20, left: 28 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const maxValue = Math.max(1, ...values);
+        const slot = plotWidth / values.length;
 
-        for (const event of this.eventLog.slice(0, 50)) { // Show last 50 events
-            const item = document.createElement('div');
-            item.className = 'log-item';
+        ctx.fillStyle = '#888888';
+        ctx.textAlign = 'right';
+        ctx.fillText(String(maxValue), padding.left - 4, padding.top + 4);
+        ctx.fillText('0', padding.left - 4, padding.top + plotHeight);
 
-            const time = document.createElement('div');
-            time.className = 'log-time';
-            time.textContent = new Date(event.timestamp).toLocaleString();
+        ctx.textAlign = 'center';
+        values.forEach((value, i) => {
+            const barHeight = (value / maxValue) * plotHeight;
+            const x = padding.left + i * slot;
 
-            const content = document.createElement('div');
-            content.className = 'log-content';
-            content.textContent = `Person ${event.localId} ${event.eventType === 'ENTRY' ? 'entered' : 'left'} the room`;
+            ctx.fillStyle = color;
+            ctx.fillRect(x + slot * 0.15, padding.top + plotHeight - barHeight, slot * 0.7, barHeight);
 
-            item.appendChild(time);
-            item.appendChild(content);
-            list.appendChild(item);
-        }
+            // Thin out labels when bars are narrow
+            if (slot >= 24 || i % Math.ceil(24 / slot) === 0) {
+                ctx.fillStyle = '#888888';
+                ctx.fillText(labels[i], x + slot / 2, height - 6);
+            }
+        });
     }
 
-    updateStatisticsDisplay() {
-        document.getElementById('total-sessions').textContent = this.stats.totalSessions || 0;
-        document.getElementById('peak-occupancy').textContent = this.stats.peakOccupancy || 0;
-        document.getElementById('avg-stay-time').textContent = 'Calculating...';
-        document.getElementById('storage-used').textContent = `${this.storedImages.size} images`;
+    drawOccupancyChart(canvas, series, from, to, cursorTime = null) {
+        const { ctx, width, height } = this.prepareChartCanvas(canvas);
+        const padding = { top: 16, right: 8, bottom: 20, left: 28 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const maxValue = Math.max(1, ...series.map(point => point.count));
+        const span = Math.max(1, to - from);
+        const xFor = (timestamp) => padding.left + ((timestamp - from) / span) * plotWidth;
+        const yFor = (count) => padding.top + plotHeight - (count / maxValue) * plotHeight;
+
+        ctx.fillStyle = '#888888';
+        ctx.textAlign = 'right';
+        ctx.fillText(String(maxValue), padding.left - 4, padding.top + 4);
+        ctx.fillText('0', padding.left - 4, padding.top + plotHeight);
+        ctx.textAlign = 'left';
+        ctx.fillText(new Date(from).toLocaleString(), padding.left, height - 6);
+        ctx.textAlign = 'right';
+        ctx.fillText(new Date(to).toLocaleString(), width - padding.right, height - 6);
+
+        // Occupancy only changes at events, so draw it as steps
+        ctx.strokeStyle = '#00ff88';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        let count = series.length && series[0].timestamp < from ? series[0].count : 0;
+        ctx.moveTo(xFor(from), yFor(count));
+        for (const point of series) {
+            if (point.timestamp < from) {
+                count = point.count;
+                continue;
+            }
+            if (point.timestamp > to) break;
+            ctx.lineTo(xFor(point.timestamp), yFor(count));
+            count = point.count;
+            ctx.lineTo(xFor(point.timestamp), yFor(count));
+        }
+        ctx.lineTo(xFor(to), yFor(count));
+        ctx.stroke();
+
+        if (cursorTime !== null) {
+            ctx.strokeStyle = '#ff00ff';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(xFor(cursorTime), padding.top);
+            ctx.lineTo(xFor(cursorTime), padding.top + plotHeight);
+            ctx.stroke();
+        }
     }
 
     showFullImage(imageData) {
+        this.recordAudit('PHOTO_VIEWED', { localId: imageData.localId });
         // Create a modal for full-size image view
         const modal = document.createElement('div');
         modal.className = 'modal active';
@@ -1157,7 +5959,7 @@ class SmartRoomVision {
         body.style.textAlign = 'center';
 
         const img = document.createElement('img');
-        img.src = imageData.imageDataURL;
+        img.src = imageData.url;
         img.style.maxWidth = '100%';
         img.style.maxHeight = '70vh';
         img.style.borderRadius = '10px';
@@ -1168,7 +5970,7 @@ class SmartRoomVision {
         downloadBtn.style.marginTop = '1rem';
         downloadBtn.addEventListener('click', () => {
             const a = document.createElement('a');
-            a.href = imageData.imageDataURL;
+            a.href = imageData.url;
             a.download = `person-${imageData.localId}-${new Date(imageData.firstSeenTimestamp).toISOString()}.png`;
             a.click();
         });
@@ -1228,13 +6030,14 @@ class SmartRoomVision {
     }
 
     async clearStorage() {
+        if (!await this.requireAdmin('clear all stored data')) return;
         if (!confirm('Are you sure you want to clear all stored data? This cannot be undone.')) {
             return;
         }
 
         try {
             // Clear IndexedDB
-            const transaction = this.db.transaction(['images', 'events', 'stats'], 'readwrite');
+            const transaction = this.db.transaction(['images', 'events', 'stats', 'heatmaps', 'clips'], 'readwrite');
 
             await new Promise((resolve, reject) => {
                 transaction.oncomplete = () => resolve();
@@ -1243,11 +6046,15 @@ class SmartRoomVision {
                 transaction.objectStore('images').clear();
                 transaction.objectStore('events').clear();
                 transaction.objectStore('stats').clear();
+                transaction.objectStore('heatmaps').clear();
+                transaction.objectStore('clips').clear();
             });
 
             // Clear memory
-            this.storedImages.clear();
+            this.forgetAllImages();
             this.eventLog = [];
+            this.clipEventIds.clear();
+            this.heatmap = { date: this.toDateInputValue(new Date()), cells: new Float32Array(HEATMAP_COLS * HEATMAP_ROWS) };
             this.stats = {
                 totalEntered: 0,
                 totalLeft: 0,
@@ -1263,6 +6070,7 @@ class SmartRoomVision {
             this.updateTimeline();
             this.updateStatsDisplay();
 
+            this.recordAudit('STORAGE_CLEARED');
             this.showNotification('All data cleared successfully', 'success');
         } catch (error) {
             console.error('Failed to clear storage:', error);
@@ -1274,11 +6082,8 @@ class SmartRoomVision {
         const canvas = document.createElement('canvas');
         const ctx = canvas.getContext('2d');
 
-        canvas.width = this.video.videoWidth;
-        canvas.height = this.video.videoHeight;
-
-        // Draw the current video frame
-        ctx.drawImage(this.video, 0, 0);
+        // Draw the current video frame, blurred the same way as the live display
+        this.composeFrame(ctx, canvas);
 
         // Add overlay information
         ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
@@ -1306,8 +6111,319 @@ class SmartRoomVision {
         });
     }
 
+    // Activity summaries
+    startSummaryTimer() {
+        // Checked every minute so summaries land on clock boundaries, e.g. on the hour
+        clearInterval(this.summaryTimer);
+        this.lastSummaryBoundary = this.getSummaryBoundary(Date.now());
+        const midnight = new Date().setHours(0, 0, 0, 0);
+        if (this.eventLog.some(event => event.eventType === 'SUMMARY' && event.period === 'day' && event.periodStart === midnight)) {
+            this.lastDailySummaryDate = this.toDateInputValue(new Date());
+        }
+        this.summaryTimer = setInterval(() => this.checkSummarySchedule(), 60000);
+    }
+
+    getSummaryBoundary(time) {
+        // Start of the current interval, counted from local midnight
+        const midnight = new Date(time).setHours(0, 0, 0, 0);
+        const periodMs = this.settings.summaryIntervalMinutes * 60000;
+        return midnight + Math.floor((time - midnight) / periodMs) * periodMs;
+    }
+
+    async checkSummarySchedule() {
+        if (!this.settings.summaryEnabled) return;
+
+        const now = Date.now();
+        const boundary = this.getSummaryBoundary(now);
+        if (boundary > this.lastSummaryBoundary) {
+            // Intervals restart at midnight, so the last one of the day can be shorter
+            const from = Math.max(this.lastSummaryBoundary, boundary - this.settings.summaryIntervalMinutes * 60000);
+            this.lastSummaryBoundary = boundary;
+            await this.createSummary(from, boundary, 'interval');
+        }
+
+        const today = this.toDateInputValue(new Date(now));
+        const [hours, minutes] = this.settings.summaryDayEnd.split(':').map(Number);
+        const dayEnd = new Date(now).setHours(hours, minutes, 0, 0);
+        if (now >= dayEnd && this.lastDailySummaryDate !== today) {
+            this.lastDailySummaryDate = today;
+            await this.createSummary(new Date(now).setHours(0, 0, 0, 0), dayEnd, 'day');
+        }
+    }
+
+    async createSummary(from, to, period) {
+        // Stored as a SUMMARY event, shown in the timeline and spoken
+        try {
+            const summary = await this.buildActivitySummary(from, to, period);
+            const event = {
+                eventType: 'SUMMARY',
+                localId: null,
+                timestamp: Date.now(),
+                period,
+                periodStart: from,
+                periodEnd: to,
+                ...summary
+            };
+            await this.logEvent(event);
+            // A quiet hour is still logged but not read out every interval
+            if (period !== 'interval' || summary.entered > 0 || summary.left > 0) {
+                this.addToAnnouncementQueue(summary.message);
+            }
+            return event;
+        } catch (error) {
+            console.error('Failed to create summary:', error);
+            return null;
+        }
+    }
+
+    async buildActivitySummary(from, to, period) {
+        // Replays from the first stored event so occupancy carried into the period is right
+        const events = await this.queryEvents({ from: 0, to, types: ['ENTRY', 'EXIT'] });
+        const inPeriod = events.filter(event => event.timestamp >= from);
+        const entered = inPeriod.filter(event => event.eventType === 'ENTRY').length;
+        const left = inPeriod.filter(event => event.eventType === 'EXIT').length;
+
+        const series = this.computeOccupancySeries(events);
+        const carried = series.filter(point => point.timestamp < from).pop();
+        let peakOccupancy = carried ? carried.count : 0;
+        let peakTime = from;
+        for (const point of series) {
+            if (point.timestamp >= from && point.count > peakOccupancy) {
+                peakOccupancy = point.count;
+                peakTime = point.timestamp;
+            }
+        }
+
+        const occupancy = series.length ? series[series.length - 1].count : 0;
+        const emptySince = occupancy === 0 && series.length ? series[series.length - 1].timestamp : null;
+        const stays = this.computeVisits(events)
+            .filter(visit => visit.exitTime !== null && visit.exitTime >= from)
+            .map(visit => visit.durationMs);
+        const averageStayMs = stays.length ? stays.reduce((sum, stay) => sum + stay, 0) / stays.length : null;
+
+        const clock = time => new Date(time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        const people = count => `${count} ${count === 1 ? 'person' : 'people'}`;
+        const parts = [];
+        if (entered === 0 && left === 0) {
+            parts.push('nobody entered or left');
+        } else {
+            parts.push(`${people(entered)} entered` + (left > 0 ? ` and ${left} left` : ''));
+        }
+        if (peakOccupancy > 0) {
+            parts.push(`peak occupancy was ${peakOccupancy} at ${clock(peakTime)}`);
+        }
+        if (averageStayMs !== null) {
+            parts.push(`average stay ${this.formatSpokenDuration(averageStayMs)}`);
+        }
+        if (occupancy > 0) {
+            parts.push(`${people(occupancy)} still in the room`);
+        } else if (emptySince === null) {
+            parts.push('the room stayed empty');
+        } else {
+            const sameDay = emptySince >= new Date(to).setHours(0, 0, 0, 0);
+            parts.push(`room empty since ${sameDay ? clock(emptySince) : new Date(emptySince).toLocaleDateString()}`);
+        }
+
+        const label = period === 'interval' ? `Between ${clock(from)} and ${clock(to)}` : `Today until ${clock(to)}`;
+        return {
+            message: `${label}, ${parts.join(', ')}.`,
+            entered,
+            left,
+            peakOccupancy,
+            peakTime,
+            averageStayMs
+        };
+    }
+
+    formatSpokenDuration(ms) {
+        const unit = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 1) return unit(Math.max(1, Math.round(ms / 1000)), 'second');
+        if (minutes < 60) return unit(minutes, 'minute');
+        const rest = minutes % 60;
+        return unit(Math.floor(minutes / 60), 'hour') + (rest > 0 ? ` ${unit(rest, 'minute')}` : '');
+    }
+
+    announcePerson(kind, localId, occupancy, event = {}) {
+        // kind is 'entry' or 'exit'; occupancy is the room count right after this person
+        const person = { localId, occupancy, name: event.lineName || event.cameraName || '' };
+        let pending = this.pendingAnnouncements.get(kind);
+        if (!pending) {
+            pending = { people: [], firstAt: Date.now(), timer: null };
+            this.pendingAnnouncements.set(kind, pending);
+        }
+        pending.people.push(person);
+
+        // Wait for the burst to settle, but never hold the first person back longer than two windows
+        clearTimeout(pending.timer);
+        const windowMs = this.settings.announceCoalesceMs;
+        const wait = Math.max(0, Math.min(windowMs, pending.firstAt + windowMs * 2 - Date.now()));
+        pending.timer = setTimeout(() => this.flushPersonAnnouncements(kind), wait);
+    }
+
+    flushPersonAnnouncements(kind) {
+        const pending = this.pendingAnnouncements.get(kind);
+        if (!pending) return;
+        this.pendingAnnouncements.delete(kind);
+
+        // A sentence of the same kind still waiting its turn absorbs the newcomers
+        const queued = this.announcementQueue.find(item => item.kind === kind);
+        if (queued) {
+            queued.people.push(...pending.people);
+            queued.text = this.formatPersonAnnouncement(kind, queued.people);
+            return;
+        }
+        this.addToAnnouncementQueue(this.formatPersonAnnouncement(kind, pending.people), { kind, people: pending.people });
+    }
+
+    formatPersonAnnouncement(kind, people, templates = this.settings) {
+        const burst = people.length > 1;
+        const template = kind === 'entry' ?
+            (burst ? templates.announceBurstEntryTemplate : templates.announceEntryTemplate) :
+            (burst ? templates.announceBurstExitTemplate : templates.announceExitTemplate);
+        const latest = people[people.length - 1];
+        const names = [...new Set(people.map(person => person.name).filter(Boolean))];
+
+        return template.replace(/\{(\w+)\}/g, (match, key) => {
+            switch (key) {
+                case 'count': return String(people.length);
+                case 'occupancy': return String(latest.occupancy);
+                case 'ordinal': return this.getOrdinalNumber(Math.max(1, latest.occupancy));
+                case 'id': return this.joinSpokenList(people.map(person => person.localId));
+                case 'name': return this.joinSpokenList(names);
+                default: return match;
+            }
+        });
+    }
+
+    joinSpokenList(items) {
+        if (items.length <= 1) return items.join('');
+        return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+    }
+
+    addToAnnouncementQueue(text, { kind = 'message', people = [], ignoreQuietHours = false } = {}) {
+        this.announcementQueue.push({ text, kind, people, ignoreQuietHours, timestamp: Date.now() });
+        this.processAnnouncementQueue();
+    }
+
+    isQuietHours(timestamp = Date.now()) {
+        return this.settings.quietHoursEnabled &&
+            this.isWithinTimeWindow(this.settings.quietHoursFrom, this.settings.quietHoursTo, timestamp);
+    }
+
+    speak(text, options = this.settings) {
+        return new Promise(resolve => {
+            if (!('speechSynthesis' in window)) {
+                resolve();
+                return;
+            }
+
+            const utterance = new SpeechSynthesisUtterance(text);
+            const voice = this.findAnnouncementVoice(options.announceVoice, options.announceLang);
+            if (voice) {
+                utterance.voice = voice;
+            }
+            utterance.lang = voice?.lang || options.announceLang || navigator.language;
+            utterance.rate = options.announceRate;
+
+            // Some engines never report the end (e.g. when another tab holds the synthesizer), so don't stall the queue
+            const fallback = setTimeout(resolve, 5000 + text.length * 150 / utterance.rate);
+            utterance.onend = utterance.onerror = () => {
+                clearTimeout(fallback);
+                resolve();
+            };
+            speechSynthesis.speak(utterance);
+        });
+    }
+
+    findAnnouncementVoice(voiceURI, lang) {
+        const voices = speechSynthesis.getVoices();
+        if (voiceURI) {
+            const voice = voices.find(candidate => candidate.voiceURI === voiceURI);
+            if (voice) return voice;
+        }
+        if (!lang) return null;
+
+        // Android reports tags like en_US
+        const normalize = tag => tag.replace('_', '-').toLowerCase();
+        const wanted = normalize(lang);
+        return voices.find(candidate => normalize(candidate.lang) === wanted) ||
+            voices.find(candidate => normalize(candidate.lang).split('-')[0] === wanted.split('-')[0]) ||
+            null;
+    }
+
+    populateVoiceOptions(lang, voiceURI) {
+        const voices = 'speechSynthesis' in window ? speechSynthesis.getVoices() : [];
+        const langs = [...new Set(voices.map(voice => voice.lang))].sort();
+        // Keep a saved language selectable even before the engine has listed its voices
+        if (lang && !langs.includes(lang)) {
+            langs.unshift(lang);
+        }
+
+        const langSelect = document.getElementById('announce-lang');
+        langSelect.innerHTML = '<option value="">Browser default</option>';
+        for (const code of langs) {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = code;
+            langSelect.appendChild(option);
+        }
+        langSelect.value = lang;
+
+        const voiceSelect = document.getElementById('announce-voice');
+        voiceSelect.innerHTML = '<option value="">Default for language</option>';
+        for (const voice of voices.filter(candidate => !lang || candidate.lang === lang)) {
+            const option = document.createElement('option');
+            option.value = voice.voiceURI;
+            option.textContent = voice.localService ? voice.name : `${voice.name} (online)`;
+            voiceSelect.appendChild(option);
+        }
+        voiceSelect.value = voiceURI;
+        if (voiceSelect.value !== voiceURI) {
+            voiceSelect.value = '';
+        }
+    }
+
+    readAnnouncementSettings() {
+        const defaults = this.getDefaultSettings();
+        const template = (id, key) => document.getElementById(id).value.trim() || defaults[key];
+        const coalesceMs = parseInt(document.getElementById('announce-coalesce').value);
+
+        return {
+            announceLang: document.getElementById('announce-lang').value,
+            announceVoice: document.getElementById('announce-voice').value,
+            announceRate: Math.min(2, Math.max(0.5, parseFloat(document.getElementById('announce-rate').value) || 1)),
+            announceEntryTemplate: template('announce-entry-template', 'announceEntryTemplate'),
+            announceExitTemplate: template('announce-exit-template', 'announceExitTemplate'),
+            announceBurstEntryTemplate: template('announce-burst-entry-template', 'announceBurstEntryTemplate'),
+            announceBurstExitTemplate: template('announce-burst-exit-template', 'announceBurstExitTemplate'),
+            announceCoalesceMs: Number.isNaN(coalesceMs) ? defaults.announceCoalesceMs : Math.min(10000, Math.max(0, coalesceMs)),
+            quietHoursEnabled: document.getElementById('quiet-hours-enabled').checked,
+            quietHoursFrom: document.getElementById('quiet-hours-from').value || defaults.quietHoursFrom,
+            quietHoursTo: document.getElementById('quiet-hours-to').value || defaults.quietHoursTo
+        };
+    }
+
+    async testAnnouncement() {
+        if (!('speechSynthesis' in window)) {
+            this.showNotification('Speech is not supported in this browser', 'warning');
+            return;
+        }
+
+        // Uses the unsaved form values, and ignores mute and quiet hours since it was asked for
+        const options = this.readAnnouncementSettings();
+        const single = [{ localId: 7, occupancy: 2, name: 'Front door' }];
+        const burst = [
+            { localId: 8, occupancy: 2, name: 'Front door' },
+            { localId: 9, occupancy: 1, name: 'Front door' },
+            { localId: 10, occupancy: 0, name: 'Side door' }
+        ];
+        await this.speak(this.formatPersonAnnouncement('entry', single, options), options);
+        await this.speak(this.formatPersonAnnouncement('exit', burst, options), options);
+    }
+
     // Announcement queue processing
-    processAnnouncementQueue() {
+    async processAnnouncementQueue() {
         if (this.isAnnouncing || this.announcementQueue.length === 0) {
             return;
         }
@@ -1316,8 +6432,9 @@ class SmartRoomVision {
         const announcement = this.announcementQueue.shift();
 
         // Only speak in real camera mode, not demo mode
-        if (!this.isDemoMode && !this.isMuted) {
-            this.speak(announcement.text);
+        const quiet = !announcement.ignoreQuietHours && this.isQuietHours();
+        if (!this.isDemoMode && !this.isMuted && !quiet) {
+            await this.speak(announcement.text);
         }
 
         // Schedule next announcement after delay
@@ -1329,7 +6446,12 @@ class SmartRoomVision {
 
     getOrdinalNumber(num) {
         const ordinals = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
-        return ordinals[num - 1] || `${num}th`;
+        if (ordinals[num - 1]) return ordinals[num - 1];
+
+        // 11th, 12th and 13th break the usual suffix pattern
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+        const suffix = num % 100 >= 11 && num % 100 <= 13 ? 'th' : (suffixes[num % 10] || 'th');
+        return `${num}${suffix}`;
     }
 
     showNotification(message, type = 'info') {
@@ -1349,95 +6471,504 @@ class SmartRoomVision {
     }
 
     // Data export/import methods
-    exportData() {
-        const exportData = {
-            settings: this.settings,
-            stats: this.stats,
-            eventLog: this.eventLog,
-            images: Array.from(this.storedImages.values()),
-            exportedAt: new Date().toISOString()
+    async showExportModal() {
+        if (!await this.requireAdmin('export data')) return;
+
+        const fromInput = document.getElementById('export-from');
+        const toInput = document.getElementById('export-to');
+        if (!fromInput.value || !toInput.value) {
+            const today = new Date();
+            fromInput.value = this.toDateInputValue(new Date(today.getTime() - 6 * 24 * 60 * 60 * 1000));
+            toInput.value = this.toDateInputValue(today);
+        }
+
+        // Offer every event type that has actually been logged
+        const typeSelect = document.getElementById('export-type');
+        const selectedType = typeSelect.value;
+        const types = [...new Set(this.eventLog.map(event => event.eventType))].sort();
+        typeSelect.innerHTML = '<option value="">All types</option>';
+        for (const type of types) {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type;
+            typeSelect.appendChild(option);
+        }
+        typeSelect.value = types.includes(selectedType) ? selectedType : '';
+
+        this.updateExportForm();
+        document.getElementById('export-encrypted-note').classList.toggle('hidden', !this.cryptoKey);
+        document.getElementById('export-modal').classList.add('active');
+    }
+
+    hideExportModal() {
+        document.getElementById('export-modal').classList.remove('active');
+    }
+
+    updateExportForm() {
+        const format = document.getElementById('export-format').value;
+        // The full backup is always complete; visits are built from ENTRY/EXIT pairs regardless of type
+        document.querySelectorAll('.export-filter').forEach(element => {
+            element.classList.toggle('hidden', format === 'backup');
+        });
+        document.getElementById('export-type-item').classList.toggle('hidden', format === 'backup' || format === 'visits-csv');
+    }
+
+    getExportFilters() {
+        const fromValue = document.getElementById('export-from').value;
+        const toValue = document.getElementById('export-to').value;
+        const personIds = document.getElementById('export-person').value
+            .split(',')
+            .map(id => parseInt(id.trim()))
+            .filter(id => !isNaN(id));
+
+        return {
+            from: fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : 0,
+            to: toValue ? new Date(`${toValue}T23:59:59.999`).getTime() : Date.now(),
+            type: document.getElementById('export-type').value || null,
+            personIds: personIds.length > 0 ? new Set(personIds) : null
         };
+    }
 
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
+    async getFilteredEvents({ from, to, type, personIds }) {
+        const events = await this.queryEvents({ from, to, type });
+        return personIds ? events.filter(event => personIds.has(event.localId)) : events;
+    }
+
+    async runExport() {
+        const format = document.getElementById('export-format').value;
+        if (format === 'backup') {
+            this.hideExportModal();
+            await this.exportData();
+            this.recordAudit('EXPORT', { format });
+            return;
+        }
+
+        const filters = this.getExportFilters();
+        const stamp = new Date().toISOString().split('T')[0];
+
+        try {
+            if (format === 'events-csv') {
+                const events = await this.getFilteredEvents(filters);
+                await this.downloadExport(new Blob([this.buildEventsCSV(events)], { type: 'text/csv' }), `smartroom-events-${stamp}.csv`);
+            } else if (format === 'visits-csv') {
+                const visits = await this.getFilteredVisits(filters);
+                await this.downloadExport(new Blob([this.buildVisitsCSV(visits)], { type: 'text/csv' }), `smartroom-visits-${stamp}.csv`);
+            } else if (format === 'ndjson') {
+                const events = await this.getFilteredEvents(filters);
+                await this.downloadExport(new Blob(this.buildNDJSONLines(events), { type: 'application/x-ndjson' }), `smartroom-events-${stamp}.ndjson`);
+            } else if (format === 'zip') {
+                await this.exportZip(filters, stamp);
+            }
+
+            this.hideExportModal();
+            this.recordAudit('EXPORT', {
+                format,
+                from: new Date(filters.from).toISOString(),
+                to: new Date(filters.to).toISOString(),
+                type: filters.type || 'all',
+                people: filters.personIds ? [...filters.personIds].join(' ') : 'all'
+            });
+            this.showNotification('Export created successfully', 'success');
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showNotification(`Export failed: ${error.message}`, 'error');
+        }
+    }
+
+    async getFilteredVisits({ from, to, personIds }) {
+        const events = await this.queryEvents({ from, to });
+        const visits = this.computeVisits(events);
+        return personIds ? visits.filter(visit => personIds.has(visit.localId)) : visits;
+    }
+
+    csvEscape(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    buildEventsCSV(events) {
+        const rows = [EVENT_CSV_COLUMNS.join(',')];
+        for (const event of events) {
+            const row = { ...event, time: new Date(event.timestamp).toISOString() };
+            rows.push(EVENT_CSV_COLUMNS.map(column => this.csvEscape(row[column])).join(','));
+        }
+        return rows.join('\r\n') + '\r\n';
+    }
 
+    buildVisitsCSV(visits) {
+        const rows = ['localId,entryTime,exitTime,durationSeconds'];
+        for (const visit of visits) {
+            rows.push([
+                visit.localId,
+                new Date(visit.entryTime).toISOString(),
+                visit.exitTime !== null ? new Date(visit.exitTime).toISOString() : '',
+                visit.durationMs !== null ? (visit.durationMs / 1000).toFixed(1) : ''
+            ].map(value => this.csvEscape(value)).join(','));
+        }
+        return rows.join('\r\n') + '\r\n';
+    }
+
+    buildNDJSONLines(events) {
+        // One line per event, kept as separate Blob parts instead of one big string
+        return events.map(event => JSON.stringify(event) + '\n');
+    }
+
+    async exportZip(filters, stamp) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('ZIP library is not available');
+        }
+
+        const events = await this.getFilteredEvents(filters);
+        const zip = new JSZip();
+        zip.file('events.csv', this.buildEventsCSV(events));
+        zip.file('events.ndjson', this.buildNDJSONLines(events).join(''));
+        zip.file('visits.csv', this.buildVisitsCSV(await this.getFilteredVisits(filters)));
+
+        // Photos of every person that appears in the exported events, as separate PNG files
+        const images = zip.folder('images');
+        for (const localId of new Set(events.map(event => event.localId))) {
+            const image = this.storedImages.get(localId);
+            if (!image) continue;
+            images.file(`person-${localId}.png`, image.blob);
+        }
+
+        const clips = zip.folder('clips');
+        const eventIds = new Set(events.map(event => event.id));
+        for (const clip of await this.getAllClips()) {
+            if (!eventIds.has(clip.eventId)) continue;
+            const extension = clip.mimeType.includes('mp4') ? 'mp4' : 'webm';
+            clips.file(`event-${clip.eventId}-${clip.eventType.toLowerCase()}.${extension}`, clip.blob);
+        }
+
+        const blob = await zip.generateAsync({ type: 'blob' });
+        await this.downloadExport(blob, `smartroom-export-${stamp}.zip`);
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `smartroom-export-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-
-        this.showNotification('Data exported successfully', 'success');
     }
 
-    async importData(file) {
+    async exportData() {
+        // Clip blobs are embedded as data URLs so the export stays a single JSON file
+        let clips = [];
         try {
-            const text = await file.text();
-            const data = JSON.parse(text);
+            clips = await Promise.all((await this.getAllClips()).map(async ({ blob, ...clip }) => ({
+                ...clip,
+                videoDataURL: await this.blobToDataURL(blob)
+            })));
+        } catch (error) {
+            console.error('Failed to export clips:', error);
+        }
 
-            // Validate data structure
-            if (!data.settings || !data.stats || !data.eventLog) {
-                throw new Error('Invalid export file format');
-            }
+        const images = await Promise.all([...this.storedImages.values()].map(async ({ blob, url, ...image }) => ({
+            ...image,
+            imageDataURL: await this.blobToDataURL(blob)
+        })));
 
-            // Confirm import
-            if (!confirm(`Import data from ${new Date(data.exportedAt).toLocaleString()}? This will overwrite current data.`)) {
-                return;
-            }
+        const exportData = {
+            schemaVersion: EXPORT_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            settings: this.getExportSettings(),
+            stats: this.stats,
+            events: this.eventLog,
+            images,
+            clips,
+            rules: this.rules
+        };
 
-            // Import settings
-            this.settings = { ...this.settings, ...data.settings };
+        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+        await this.downloadExport(blob, `smartroom-export-${new Date().toISOString().split('T')[0]}.json`);
 
-            // Import stats
-            this.stats = { ...this.stats, ...data.stats };
+        this.showNotification('Data exported successfully', 'success');
+    }
 
-            // Import events
-            this.eventLog = data.eventLog;
+    migrateImport(data) {
+        let version = data.schemaVersion ?? 1;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Unknown schema version "${data.schemaVersion}"`);
+        }
+        if (version > EXPORT_SCHEMA_VERSION) {
+            throw new Error(`File was exported by a newer version (schema ${version}, this app reads up to ${EXPORT_SCHEMA_VERSION})`);
+        }
 
-            // Import images
-            this.storedImages.clear();
-            for (const imageData of data.images) {
-                this.storedImages.set(imageData.localId, imageData);
-            }
+        while (version < EXPORT_SCHEMA_VERSION) {
+            data = EXPORT_MIGRATIONS[version](data);
+            version++;
+        }
+        return data;
+    }
 
-            // Save to database
-            await this.saveSettings();
-            await this.saveStats();
+    validateImport(data) {
+        const errors = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isLocalId = value => value === null || Number.isInteger(value);
 
-            // Clear and repopulate events
-            const transaction = this.db.transaction(['events'], 'readwrite');
-            const store = transaction.objectStore('events');
-            await store.clear();
+        if (!isObject(data.settings)) errors.push('settings must be an object');
+        if (!isObject(data.stats)) errors.push('stats must be an object');
+        for (const key of ['events', 'images', 'clips', 'rules']) {
+            if (!Array.isArray(data[key])) errors.push(`${key} must be a list`);
+        }
+
+        // Report only the first few bad records, one broken file tends to break every record
+        const check = (list, name, isValid) => {
+            if (!Array.isArray(list)) return;
+            const bad = list.findIndex(item => !isObject(item) || !isValid(item));
+            if (bad !== -1) errors.push(`${name} #${bad + 1} is malformed`);
+        };
+        check(data.events, 'event', event =>
+            typeof event.eventType === 'string' && Number.isFinite(event.timestamp) && isLocalId(event.localId));
+        check(data.images, 'image', image =>
+            Number.isInteger(image.localId) && typeof image.imageDataURL === 'string' && image.imageDataURL.startsWith('data:image/'));
+        check(data.clips, 'clip', clip =>
+            clip.eventId !== undefined && typeof clip.videoDataURL === 'string' && clip.videoDataURL.startsWith('data:video/'));
+        check(data.rules, 'rule', rule => typeof rule.name === 'string' && Array.isArray(rule.actions));
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid export file: ${errors.slice(0, 5).join('; ')}`);
+        }
+    }
 
-            for (const event of this.eventLog) {
-                await store.add(event);
+    async previewImport(file) {
+        try {
+            let raw = JSON.parse(await file.text());
+            if (raw.format === 'smartroom-encrypted') {
+                const text = await this.decryptExport(raw);
+                if (text === null) return;
+                raw = JSON.parse(text);
+            }
+            const originalVersion = raw.schemaVersion ?? 1;
+            const data = this.migrateImport(raw);
+            this.validateImport(data);
+            this.pendingImport = data;
+
+            const timestamps = data.events.map(event => event.timestamp);
+            const range = timestamps.length > 0
+                ? `${new Date(Math.min(...timestamps)).toLocaleString()} – ${new Date(Math.max(...timestamps)).toLocaleString()}`
+                : 'no events';
+
+            document.getElementById('import-summary').innerHTML = '';
+            const rows = [
+                ['File', file.name],
+                ['Exported', data.exportedAt ? new Date(data.exportedAt).toLocaleString() : 'unknown'],
+                ['Schema version', originalVersion === EXPORT_SCHEMA_VERSION ? originalVersion : `${originalVersion} (upgraded to ${EXPORT_SCHEMA_VERSION})`],
+                ['Events', data.events.length],
+                ['Date range', range],
+                ['People photos', data.images.length],
+                ['Clips', data.clips.length],
+                ['Rules', data.rules.length]
+            ];
+            for (const [label, value] of rows) {
+                const row = document.createElement('div');
+                row.className = 'import-row';
+                const name = document.createElement('span');
+                name.textContent = label;
+                const text = document.createElement('strong');
+                text.textContent = value;
+                row.appendChild(name);
+                row.appendChild(text);
+                document.getElementById('import-summary').appendChild(row);
             }
 
-            // Clear and repopulate images
-            const imageTransaction = this.db.transaction(['images'], 'readwrite');
-            const imageStore = imageTransaction.objectStore('images');
-            await imageStore.clear();
+            document.getElementById('import-modal').classList.add('active');
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.showNotification('Import failed: ' + error.message, 'error');
+        } finally {
+            document.getElementById('import-file').value = '';
+        }
+    }
 
-            for (const imageData of data.images) {
-                await imageStore.add(imageData);
-            }
+    hideImportModal() {
+        document.getElementById('import-modal').classList.remove('active');
+        this.pendingImport = null;
+    }
 
-            // Update UI
-            this.applySettingsToUI();
-            this.updateStatsDisplay();
-            this.updateTimeline();
-            this.updateStoredImagesDisplay();
+    async confirmImport() {
+        const data = this.pendingImport;
+        if (!data) return;
+
+        const mode = document.querySelector('input[name="import-mode"]:checked').value;
+        if (mode === 'replace' && !confirm('Replace all stored events, photos, clips and rules with the imported data?')) {
+            return;
+        }
+        this.hideImportModal();
 
-            this.showNotification('Data imported successfully', 'success');
+        try {
+            const result = mode === 'merge' ? await this.mergeImport(data) : await this.replaceImport(data);
+            await this.reloadStoredData();
+            this.recordAudit('IMPORT', { mode, ...result });
+            this.showNotification(`Imported ${result.events} events, ${result.images} photos and ${result.clips} clips`, 'success');
         } catch (error) {
             console.error('Import failed:', error);
             this.showNotification('Import failed: ' + error.message, 'error');
         }
     }
 
-    downloadLogs() {
+
+    waitForTransaction(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    async decodeImportedClips(clips) {
+        // Convert before opening the transaction: IndexedDB transactions close across unrelated awaits
+        return Promise.all(clips.map(async ({ videoDataURL, ...clip }) => ({
+            ...clip,
+            blob: await this.dataURLToBlob(videoDataURL)
+        })));
+    }
+
+    async decodeImportedImages(images) {
+        return Promise.all(images.map(async ({ imageDataURL, ...image }) => ({
+            ...image,
+            blob: await this.dataURLToBlob(imageDataURL)
+        })));
+    }
+
+    getExportSettings() {
+        // Credentials only travel inside encrypted exports
+        const settings = { ...this.settings };
+        if (!this.cryptoKey) SECRET_SETTINGS.forEach(field => delete settings[field]);
+        return settings;
+    }
+
+    async replaceImport(data) {
+        const previous = this.settings;
+        // Backups without the secret settings keep the ones already configured here
+        const secrets = Object.fromEntries(SECRET_SETTINGS.map(field => [field, this.settings[field]]));
+        const settings = { ...this.getDefaultSettings(), ...secrets, ...data.settings };
+        const settingsRecord = await this.sealSettings(settings);
+        const clips = await this.sealRecords('clips', await this.decodeImportedClips(data.clips));
+        const images = await this.sealRecords('images', await this.decodeImportedImages(data.images));
+        const events = await this.sealRecords('events', data.events);
+        const stores = ['events', 'images', 'clips', 'rules', 'settings', 'stats'];
+        const transaction = this.db.transaction(stores, 'readwrite');
+        const done = this.waitForTransaction(transaction);
+
+        for (const store of ['events', 'images', 'clips', 'rules']) {
+            transaction.objectStore(store).clear();
+        }
+        // Events keep their ids so the clips still point at them
+        events.forEach(event => transaction.objectStore('events').put(event));
+        images.forEach(image => transaction.objectStore('images').put(image));
+        clips.forEach(({ id, ...clip }) => transaction.objectStore('clips').add(clip));
+        data.rules.forEach(rule => transaction.objectStore('rules').put(rule));
+
+        this.settings = settings;
+        this.stats = { ...this.stats, ...data.stats };
+        transaction.objectStore('settings').put(settingsRecord);
+        transaction.objectStore('stats').put({ id: 'main', ...this.stats });
+
+        await done;
+        const importedIds = [...data.events, ...data.images].map(item => item.localId).filter(Number.isInteger);
+        this.nextLocalId = Math.max(this.nextLocalId, ...importedIds.map(id => id + 1));
+        this.applySettingsToUI();
+        // The imported rules start over, none of them has been waiting or has fired yet
+        this.ruleState.clear();
+        await this.applySettingsChanges(previous);
+        return { events: data.events.length, images: images.length, clips: clips.length };
+    }
+
+    async mergeImport(data) {
+        const eventKey = event => `${event.timestamp}|${event.eventType}|${event.localId}`;
+        const existingEvents = new Map(this.eventLog.map(event => [eventKey(event), event]));
+        const usedIds = new Set([
+            ...this.eventLog.map(event => event.localId),
+            ...this.storedImages.keys()
+        ]);
+
+        // Events already stored (same time, type and person) are skipped. People seen in those
+        // duplicates are the same people, everyone else whose id is taken gets a fresh one.
+        const duplicates = data.events.filter(event => existingEvents.has(eventKey(event)));
+        const sharedIds = new Set(duplicates.map(event => event.localId));
+        const newEvents = data.events.filter(event => !existingEvents.has(eventKey(event)));
+
+        let nextId = Math.max(this.nextLocalId, ...[...usedIds].filter(Number.isInteger).map(id => id + 1));
+        const idMap = new Map();
+        for (const event of newEvents) {
+            const localId = event.localId;
+            if (localId === null || idMap.has(localId) || sharedIds.has(localId)) continue;
+            idMap.set(localId, usedIds.has(localId) ? nextId++ : localId);
+        }
+        const remap = localId => (idMap.has(localId) ? idMap.get(localId) : localId);
+
+        const clips = await this.decodeImportedClips(data.clips);
+        const images = await this.decodeImportedImages(data.images);
+
+        // New events get fresh ids; remember them so imported clips can be re-linked
+        const eventIdMap = new Map();
+        duplicates.forEach(event => eventIdMap.set(event.id, existingEvents.get(eventKey(event)).id));
+        const sealedEvents = await this.sealRecords('events',
+            newEvents.map(({ id, ...event }) => ({ ...event, localId: remap(event.localId) })));
+        const eventTransaction = this.db.transaction(['events'], 'readwrite');
+        const eventsDone = this.waitForTransaction(eventTransaction);
+        newEvents.forEach((event, i) => {
+            const request = eventTransaction.objectStore('events').add(sealedEvents[i]);
+            request.onsuccess = () => eventIdMap.set(event.id, request.result);
+        });
+        await eventsDone;
+
+        const newImages = images.filter(image =>
+            !(sharedIds.has(image.localId) && this.storedImages.has(image.localId)) &&
+            (idMap.has(image.localId) || !usedIds.has(image.localId)));
+        const sealedImages = await this.sealRecords('images',
+            newImages.map(image => ({ ...image, localId: remap(image.localId) })));
+        const newClips = clips
+            .map(({ id, ...clip }) => ({ ...clip, eventId: eventIdMap.get(clip.eventId), localId: remap(clip.localId) }))
+            .filter(clip => clip.eventId !== undefined && !this.clipEventIds.has(clip.eventId));
+        const sealedClips = await this.sealRecords('clips', newClips);
+
+        const transaction = this.db.transaction(['images', 'clips', 'rules', 'stats'], 'readwrite');
+        const done = this.waitForTransaction(transaction);
+
+        sealedImages.forEach(image => transaction.objectStore('images').put(image));
+        sealedClips.forEach(clip => transaction.objectStore('clips').add(clip));
+
+        const ruleNames = new Set(this.rules.map(rule => rule.name));
+        for (const { id, ...rule } of data.rules) {
+            if (!ruleNames.has(rule.name)) transaction.objectStore('rules').add(rule);
+        }
+
+        // Totals grow by what was actually added; current occupancy stays live
+        this.stats.totalEntered += newEvents.filter(event => event.eventType === 'ENTRY').length;
+        this.stats.totalLeft += newEvents.filter(event => event.eventType === 'EXIT').length;
+        this.stats.peakOccupancy = Math.max(this.stats.peakOccupancy, data.stats.peakOccupancy || 0);
+        transaction.objectStore('stats').put({ id: 'main', ...this.stats });
+
+        await done;
+        this.nextLocalId = Math.max(nextId, ...[...idMap.values()].map(id => id + 1));
+        return { events: newEvents.length, images: newImages.length, clips: newClips.length };
+    }
+
+    async reloadStoredData() {
+        this.forgetAllImages();
+        this.clipEventIds.clear();
+        await this.loadStoredImages();
+        await this.loadEventLog();
+        await this.loadClipIndex();
+        await this.loadRules();
+
+        this.updateStatsDisplay();
+        this.updateTimeline();
+        this.updateStoredImagesDisplay();
+        this.updateLogsDisplay();
+        this.updateRulesDisplay();
+    }
+
+    async downloadLogs() {
+        if (!await this.requireAdmin('download the event logs')) return;
+
         const logsData = {
             eventLog: this.eventLog,
             stats: this.stats,
@@ -1445,33 +6976,32 @@ class SmartRoomVision {
         };
 
         const blob = new Blob([JSON.stringify(logsData, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `smartroom-logs-${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        await this.downloadExport(blob, `smartroom-logs-${new Date().toISOString().split('T')[0]}.json`);
+        this.recordAudit('EXPORT', { format: 'logs', events: this.eventLog.length });
 
         this.showNotification('Logs downloaded successfully', 'success');
     }
 
     async clearLogs() {
-        if (!confirm('Are you sure you want to clear all event logs? Images will be preserved.')) {
+        if (!await this.requireAdmin('clear the event logs')) return;
+        if (!confirm('Are you sure you want to clear all event logs and their clips? Images will be preserved.')) {
             return;
         }
 
         try {
-            const transaction = this.db.transaction(['events'], 'readwrite');
-            const store = transaction.objectStore('events');
-            await store.clear();
+            const transaction = this.db.transaction(['events', 'clips'], 'readwrite');
+            const done = this.waitForTransaction(transaction);
+            transaction.objectStore('events').clear();
+            transaction.objectStore('clips').clear();
+            await done;
 
             this.eventLog = [];
+            this.clipEventIds.clear();
+            this.hideLogDrawer();
             this.updateTimeline();
             this.updateLogsDisplay();
 
+            this.recordAudit('LOGS_CLEARED');
             this.showNotification('Logs cleared successfully', 'success');
         } catch (error) {
             console.error('Failed to clear logs:', error);
@@ -0,0 +1,55 @@
+// SmartRoom Vision - Detection worker
+// Owns the TF.js model so inference never blocks the page. Receives frames as ImageBitmaps
+// and posts normalized person predictions back.
+
+importScripts(
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.15.0/dist/tf.min.js',
+    'https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@2.2.3/dist/coco-ssd.min.js',
+    'https://cdn.jsdelivr.net/npm/@tensorflow-models/pose-detection@2.1.3/dist/pose-detection.min.js',
+    'detectors.js'
+);
+
+let detector = null;
+let canvas = null;
+let ctx = null;
+
+self.onmessage = async (e) => {
+    const message = e.data;
+
+    if (message.type === 'load') {
+        try {
+            const backend = DETECTOR_BACKENDS[message.backend];
+            if (!backend || !backend.worker) {
+                throw new Error(`Backend "${message.backend}" cannot run in a worker`);
+            }
+
+            detector = backend.create(message.settings);
+            await detector.load();
+            self.postMessage({ type: 'loaded' });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+        return;
+    }
+
+    if (message.type === 'detect') {
+        const { id, bitmap } = message;
+
+        try {
+            // Models read pixels from ImageData, which works on every TF.js backend in a worker
+            if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+                canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+                ctx = canvas.getContext('2d', { willReadFrequently: true });
+            }
+            ctx.drawImage(bitmap, 0, 0);
+            const frame = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+
+            const predictions = await detector.detect(frame);
+            self.postMessage({ type: 'result', id, predictions });
+        } catch (error) {
+            self.postMessage({ type: 'error', id, message: error.message });
+        } finally {
+            bitmap.close();
+        }
+    }
+};
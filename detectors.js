@@ -0,0 +1,352 @@
+// SmartRoom Vision - Detector adapters
+// Loaded both by the page and by detector-worker.js, so nothing here may touch the DOM
+
+// Every backend exposes load() / detect(input) / dispose() and normalizes its output
+// to person predictions shaped like { class: 'person', score, bbox: [x, y, width, height], keypoints? }
+class DetectorAdapter {
+    constructor() {
+        this.requiresVideo = true;
+        this.frameSize = null;
+    }
+
+    async load() {
+        throw new Error('load() not implemented');
+    }
+
+    async detect(input) {
+        throw new Error('detect() not implemented');
+    }
+
+    dispose() {
+        if (this.model && typeof this.model.dispose === 'function') {
+            this.model.dispose();
+        }
+        this.model = null;
+    }
+}
+
+class CocoSsdDetector extends DetectorAdapter {
+    constructor(base) {
+        super();
+        this.base = base;
+    }
+
+    async load() {
+        if (typeof cocoSsd === 'undefined') {
+            throw new Error('coco-ssd library is not available');
+        }
+        this.model = await cocoSsd.load({ base: this.base });
+    }
+
+    async detect(input) {
+        const predictions = await this.model.detect(input);
+
+        return predictions
+            .filter(prediction => prediction.class === 'person')
+            .map(prediction => ({
+                class: 'person',
+                score: prediction.score,
+                bbox: prediction.bbox
+            }));
+    }
+}
+
+class MoveNetDetector extends DetectorAdapter {
+    async load() {
+        if (typeof poseDetection === 'undefined') {
+            throw new Error('pose-detection library is not available');
+        }
+        this.model = await poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+            modelType: poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING
+        });
+    }
+
+    async detect(input) {
+        const poses = await this.model.estimatePoses(input);
+        const predictions = [];
+
+        for (const pose of poses) {
+            const bbox = this.bboxFromKeypoints(pose.keypoints);
+            if (!bbox) continue;
+
+            predictions.push({
+                class: 'person',
+                score: pose.score ?? 0,
+                bbox,
+                keypoints: pose.keypoints
+            });
+        }
+
+        return predictions;
+    }
+
+    bboxFromKeypoints(keypoints) {
+        const visible = keypoints.filter(keypoint => keypoint.score > 0.3);
+        if (visible.length < 3) return null;
+
+        const xs = visible.map(keypoint => keypoint.x);
+        const ys = visible.map(keypoint => keypoint.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const width = Math.max(...xs) - minX;
+        const height = Math.max(...ys) - minY;
+
+        // Keypoints sit inside the body outline, so pad to approximate a detector box
+        const padX = width * 0.15;
+        const padY = height * 0.1;
+        return [minX - padX, minY - padY * 2, width + padX * 2, height + padY * 3];
+    }
+}
+
+class CustomModelDetector extends DetectorAdapter {
+    // Expects a TF.js graph model exported from the TF Object Detection API
+    // (detection_boxes / detection_scores / detection_classes outputs)
+    constructor(modelUrl, personClassId = 1) {
+        super();
+        this.modelUrl = modelUrl;
+        this.personClassId = personClassId;
+    }
+
+    async load() {
+        if (!this.modelUrl) {
+            throw new Error('No custom model URL configured');
+        }
+        this.model = await tf.loadGraphModel(this.modelUrl);
+    }
+
+    async detect(input) {
+        const width = input.videoWidth || input.width;
+        const height = input.videoHeight || input.height;
+        const tensor = tf.tidy(() => tf.browser.fromPixels(input).expandDims(0));
+
+        try {
+            const outputs = await this.model.executeAsync(tensor, [
+                'detection_boxes', 'detection_scores', 'detection_classes'
+            ]);
+            const [boxes, scores, classes] = await Promise.all(outputs.map(output => output.array()));
+            tf.dispose(outputs);
+
+            const predictions = [];
+            for (let i = 0; i < scores[0].length; i++) {
+                if (Math.round(classes[0][i]) !== this.personClassId) continue;
+
+                const [yMin, xMin, yMax, xMax] = boxes[0][i];
+                predictions.push({
+                    class: 'person',
+                    score: scores[0][i],
+                    bbox: [xMin * width, yMin * height, (xMax - xMin) * width, (yMax - yMin) * height]
+                });
+            }
+            return predictions;
+        } finally {
+            tensor.dispose();
+        }
+    }
+}
+
+class ReplayDetector extends DetectorAdapter {
+    // Plays back predictions from a JSON script instead of running a model:
+    // { width, height, loop, frames: [[{ class, score, bbox }], { predictions: [...] }, ...] }
+    constructor(source) {
+        super();
+        this.source = source;
+        this.requiresVideo = false;
+        this.frames = [];
+        this.cursor = 0;
+    }
+
+    async load() {
+        let script = this.source;
+        if (!script) {
+            throw new Error('No replay script selected');
+        }
+        if (typeof script === 'string') {
+            const response = await fetch(script);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch replay script (${response.status})`);
+            }
+            script = await response.json();
+        }
+
+        this.frames = Array.isArray(script) ? script : script.frames;
+        if (!Array.isArray(this.frames) || this.frames.length === 0) {
+            throw new Error('Replay script contains no frames');
+        }
+
+        this.loop = script.loop !== false;
+        this.cursor = 0;
+        if (script.width && script.height) {
+            this.frameSize = { width: script.width, height: script.height };
+        }
+    }
+
+    async detect() {
+        if (this.cursor >= this.frames.length) {
+            if (!this.loop) return [];
+            this.cursor = 0;
+        }
+
+        const frame = this.frames[this.cursor++];
+        const predictions = Array.isArray(frame) ? frame : (frame.predictions || []);
+
+        return predictions
+            .filter(prediction => (prediction.class || 'person') === 'person')
+            .map(prediction => ({
+                class: 'person',
+                score: prediction.score ?? 1,
+                bbox: prediction.bbox,
+                keypoints: prediction.keypoints
+            }));
+    }
+}
+
+class WorkerDetector extends DetectorAdapter {
+    // Main-thread proxy for a backend running in detector-worker.js. Frames are transferred as
+    // ImageBitmaps; each slot (one per camera) has at most one frame in flight and late results
+    // are discarded, so detect() resolves to null when a frame was dropped.
+    constructor(backendKey, settings, maxFrameAgeMs = 1000) {
+        super();
+        this.backendKey = backendKey;
+        this.settings = settings;
+        this.maxFrameAgeMs = maxFrameAgeMs;
+        this.worker = null;
+        this.pending = new Map(); // slot -> request in flight
+        this.nextRequestId = 1;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    load() {
+        this.worker = new Worker('detector-worker.js');
+
+        return new Promise((resolve, reject) => {
+            this.worker.onmessage = (e) => {
+                if (e.data.type === 'loaded') {
+                    this.worker.onmessage = (message) => this.handleMessage(message.data);
+                    resolve();
+                } else if (e.data.type === 'error') {
+                    reject(new Error(e.data.message));
+                }
+            };
+            this.worker.onerror = (e) => {
+                e.preventDefault();
+                reject(new Error(e.message || 'Detector worker failed to start'));
+            };
+
+            this.worker.postMessage({
+                type: 'load',
+                backend: this.backendKey,
+                settings: {
+                    detectorModelUrl: this.settings.detectorModelUrl,
+                    customPersonClassId: this.settings.customPersonClassId
+                }
+            });
+        }).then(() => {
+            this.worker.onerror = (e) => {
+                e.preventDefault();
+                const error = new Error(e.message || 'Detector worker error');
+                [...this.pending.keys()].forEach(slot => this.settle(slot, null, error));
+            };
+        });
+    }
+
+    async detect(input, { dropStale = true, slot = 'main' } = {}) {
+        // Backpressure: drop this frame while the worker is still busy with the previous one from
+        // the same slot, unless the caller needs every frame and would rather wait. Slots keep one
+        // busy camera from starving the others.
+        while (this.pending.has(slot)) {
+            if (dropStale) return null;
+            await this.pending.get(slot).result.catch(() => {});
+        }
+
+        const request = { id: this.nextRequestId++, capturedAt: performance.now(), dropStale };
+        request.result = new Promise((resolve, reject) => {
+            request.resolve = resolve;
+            request.reject = reject;
+        });
+        this.pending.set(slot, request);
+
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(input);
+        } catch (error) {
+            this.settle(slot, null);
+            throw error;
+        }
+
+        // Disposed while the bitmap was being captured
+        if (this.pending.get(slot) !== request) {
+            bitmap.close();
+            return null;
+        }
+
+        this.worker.postMessage({ type: 'detect', id: request.id, bitmap }, [bitmap]);
+        return request.result;
+    }
+
+    handleMessage(message) {
+        const [slot, request] = [...this.pending].find(([, pending]) => pending.id === message.id) || [];
+        if (!request) return;
+
+        if (message.type === 'error') {
+            this.settle(slot, null, new Error(message.message));
+            return;
+        }
+
+        const age = performance.now() - request.capturedAt;
+        const isStale = request.dropStale && age > this.maxFrameAgeMs;
+        this.settle(slot, isStale ? null : message.predictions);
+    }
+
+    settle(slot, predictions, error = null) {
+        const request = this.pending.get(slot);
+        this.pending.delete(slot);
+        if (!request) return;
+
+        if (error) {
+            request.reject(error);
+        } else {
+            request.resolve(predictions);
+        }
+    }
+
+    dispose() {
+        [...this.pending.keys()].forEach(slot => this.settle(slot, null));
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+const DETECTOR_BACKENDS = {
+    'coco-ssd-lite': {
+        label: 'COCO-SSD (lite_mobilenet_v2)',
+        worker: true,
+        create: () => new CocoSsdDetector('lite_mobilenet_v2')
+    },
+    'coco-ssd': {
+        label: 'COCO-SSD (mobilenet_v2)',
+        worker: true,
+        create: () => new CocoSsdDetector('mobilenet_v2')
+    },
+    'movenet': {
+        label: 'MoveNet MultiPose',
+        worker: true,
+        create: () => new MoveNetDetector()
+    },
+    'custom': {
+        label: 'Custom model',
+        worker: true,
+        create: (settings) => new CustomModelDetector(settings.detectorModelUrl, settings.customPersonClassId)
+    },
+    'replay': {
+        label: 'Scripted replay',
+        worker: false,
+        create: (settings, replayScript) => new ReplayDetector(replayScript || settings.detectorModelUrl)
+    }
+};